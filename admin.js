@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const express = require('express');
+const { HttpError } = require('./errors');
+const { parseJournalFilter } = require('./journal');
+
+// Require `Authorization: Bearer <token>` when a token is configured
+function requireToken(token) {
+	const expected = Buffer.from(`Bearer ${token}`);
+
+	return function checkToken(req, res, next) {
+		const actual = Buffer.from(req.get('Authorization') || '');
+		if (actual.length === expected.length && crypto.timingSafeEqual(actual, expected)) {
+			return next();
+		}
+
+		res.set('WWW-Authenticate', 'Bearer realm="__admin"');
+		next(new HttpError(401, 'Missing or invalid admin token'));
+	};
+}
+
+// Inspection and runtime mock API mounted at /__admin
+function createAdminRouter({ journal, registry, store, recorder, token }) {
+	const router = express.Router();
+
+	if (token) {
+		router.use(requireToken(token));
+	}
+
+	router.get('/requests', (req, res) => {
+		const requests = journal.list(parseJournalFilter(req.query));
+		res.json({ total: requests.length, requests });
+	});
+
+	router.delete('/requests', (req, res) => {
+		journal.clear();
+		res.status(204).end();
+	});
+
+	router.get('/mocks', (req, res) => {
+		res.json({ mocks: registry.list() });
+	});
+
+	router.post('/mocks', (req, res) => {
+		const mock = registry.add(req.body);
+		res.status(201).location(`${req.baseUrl}/mocks/${encodeURIComponent(mock.id)}`).json(mock);
+	});
+
+	router.get('/mocks/:id', (req, res) => {
+		res.json(registry.get(req.params.id));
+	});
+
+	router.put('/mocks/:id', (req, res) => {
+		res.json(registry.update(req.params.id, req.body));
+	});
+
+	router.delete('/mocks/:id', (req, res) => {
+		registry.remove(req.params.id);
+		res.status(204).end();
+	});
+
+	router.delete('/mocks', (req, res) => {
+		registry.reset();
+		res.status(204).end();
+	});
+
+	// Responses recorded in proxy mode, in mock file format
+	if (recorder) {
+		router.get('/recordings', (req, res) => {
+			res.json({ mocks: recorder.list() });
+		});
+
+		router.delete('/recordings', (req, res) => {
+			recorder.clear();
+			res.status(204).end();
+		});
+	}
+
+	// Global reset: runtime mocks, the journal and all sequence/seed counters
+	router.post('/reset', async (req, res, next) => {
+		try {
+			registry.reset();
+			journal.clear();
+			const keys = await store.keys();
+			await Promise.all(keys.map(key => store.delete(key)));
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	return router;
+}
+
+module.exports = { createAdminRouter };
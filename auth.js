@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const express = require('express');
+const { HttpError, ValidationError } = require('./errors');
+const { realm } = require('./status-behaviors');
+
+// Digest algorithms offered via ?algorithm=, mapped to node hash names
+const ALGORITHMS = { MD5: 'md5', 'SHA-256': 'sha256' };
+
+// Digest nonces older than this are answered with stale=true
+const NONCE_TTL = 5 * 60 * 1000;
+
+function safeEqual(actual, expected) {
+	const a = Buffer.from(actual);
+	const b = Buffer.from(expected);
+	return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Challenge an origin server (401) or, with ?proxy=true, a proxy (407)
+function authTarget(req) {
+	return req.query.proxy === 'true'
+		? { status: 407, challengeHeader: 'Proxy-Authenticate', credentialsHeader: 'Proxy-Authorization' }
+		: { status: 401, challengeHeader: 'WWW-Authenticate', credentialsHeader: 'Authorization' };
+}
+
+// Split "Scheme rest" from an Authorization header; the scheme is lowercased
+function parseCredentials(header) {
+	const match = /^([A-Za-z0-9!#$%&'*+.^_`|~-]+)\s+(.+)$/.exec((header || '').trim());
+	return match ? { scheme: match[1].toLowerCase(), value: match[2] } : undefined;
+}
+
+// Digest auth-params: name=token or name="quoted string", comma separated
+function parseAuthParams(value) {
+	const params = {};
+	const pattern = /([\w-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/g;
+	let match;
+	while ((match = pattern.exec(value))) {
+		params[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+	}
+	return params;
+}
+
+// Routes that challenge for credentials and check what the client sends back:
+//   /auth/basic/:user/:pass    Basic
+//   /auth/bearer?token=        Bearer (RFC 6750)
+//   /auth/digest/:user/:pass   Digest (RFC 7616), ?algorithm=MD5|SHA-256
+// Valid credentials get `respond(req, res, 200)`, or a 403 with ?forbidden=true.
+// Every failure sets the challenge header and goes through the error middleware.
+function createAuthRouter({ respond, middleware = [] }) {
+	const router = express.Router();
+
+	// Nonces are signed rather than stored, so no per-client state is kept
+	const secret = crypto.randomBytes(32);
+	const opaque = crypto.randomBytes(16).toString('hex');
+
+	function sign(value) {
+		return crypto.createHmac('sha256', secret).update(value).digest('hex');
+	}
+
+	function createNonce() {
+		const timestamp = String(Date.now());
+		return Buffer.from(`${timestamp}:${sign(timestamp)}`).toString('base64');
+	}
+
+	// 'valid', 'stale' or 'invalid'
+	function checkNonce(nonce) {
+		const [timestamp, signature = ''] = Buffer.from(nonce, 'base64').toString('utf8').split(':');
+		if (!/^\d+$/.test(timestamp) || !safeEqual(signature, sign(timestamp))) return 'invalid';
+		return Date.now() - parseInt(timestamp) > NONCE_TTL ? 'stale' : 'valid';
+	}
+
+	function reject(req, res, challenge, message) {
+		const { status, challengeHeader } = authTarget(req);
+		res.set(challengeHeader, challenge);
+		return new HttpError(status, message);
+	}
+
+	function authorize(req, res, next, user) {
+		if (req.query.forbidden === 'true') {
+			return next(new HttpError(403, `${user} is not allowed to access this resource`));
+		}
+		respond(req, res, 200);
+	}
+
+	router.all('/auth/basic/:user/:pass', ...middleware, (req, res, next) => {
+		const { user, pass } = req.params;
+		const challenge = `Basic realm="${realm(req)}", charset="UTF-8"`;
+		const credentials = parseCredentials(req.get(authTarget(req).credentialsHeader));
+
+		if (!credentials || credentials.scheme !== 'basic') {
+			return next(reject(req, res, challenge, 'Basic credentials required'));
+		}
+		if (!safeEqual(Buffer.from(credentials.value, 'base64').toString('utf8'), `${user}:${pass}`)) {
+			return next(reject(req, res, challenge, 'Invalid username or password'));
+		}
+		authorize(req, res, next, user);
+	});
+
+	router.all('/auth/bearer', ...middleware, (req, res, next) => {
+		const { token } = req.query;
+		if (typeof token !== 'string' || token === '') {
+			return next(new ValidationError('Missing token, expected ?token='));
+		}
+
+		const challenge = error => `Bearer realm="${realm(req)}"${error ? `, error="${error}"` : ''}`;
+		const credentials = parseCredentials(req.get(authTarget(req).credentialsHeader));
+
+		if (!credentials || credentials.scheme !== 'bearer') {
+			return next(reject(req, res, challenge(), 'Bearer token required'));
+		}
+		if (!safeEqual(credentials.value, token)) {
+			return next(reject(req, res, challenge('invalid_token'), 'Invalid bearer token'));
+		}
+		// RFC 6750 describes a valid token without enough access as insufficient_scope
+		if (req.query.forbidden === 'true') {
+			res.set(authTarget(req).challengeHeader, challenge('insufficient_scope'));
+		}
+		authorize(req, res, next, 'This token');
+	});
+
+	router.all('/auth/digest/:user/:pass', ...middleware, (req, res, next) => {
+		const algorithm = req.query.algorithm || 'MD5';
+		if (!ALGORITHMS[algorithm]) {
+			return next(new ValidationError(`Invalid algorithm, expected one of: ${Object.keys(ALGORITHMS).join(', ')}`));
+		}
+
+		const { user, pass } = req.params;
+		const hash = value => crypto.createHash(ALGORITHMS[algorithm]).update(value).digest('hex');
+		const fail = (message, stale = false) => {
+			const challenge =
+				`Digest realm="${realm(req)}", qop="auth", algorithm=${algorithm}, ` +
+				`nonce="${createNonce()}", opaque="${opaque}"${stale ? ', stale=true' : ''}`;
+			next(reject(req, res, challenge, message));
+		};
+
+		const credentials = parseCredentials(req.get(authTarget(req).credentialsHeader));
+		if (!credentials || credentials.scheme !== 'digest') {
+			return fail('Digest credentials required');
+		}
+
+		const params = parseAuthParams(credentials.value);
+		const { username, nonce, uri, response, qop, nc, cnonce } = params;
+
+		if (!username || !nonce || !uri || !response || (qop !== undefined && (qop !== 'auth' || !nc || !cnonce))) {
+			return fail('Incomplete digest credentials');
+		}
+		if (
+			(params.algorithm || 'MD5') !== algorithm ||
+			params.realm !== realm(req) ||
+			params.opaque !== opaque ||
+			uri !== req.originalUrl
+		) {
+			return fail('Digest credentials do not match the challenge');
+		}
+
+		const nonceState = checkNonce(nonce);
+		if (nonceState === 'invalid') {
+			return fail('Invalid nonce');
+		}
+
+		const ha1 = hash(`${user}:${realm(req)}:${pass}`);
+		const ha2 = hash(`${req.method}:${uri}`);
+		const expected = qop ? hash(`${ha1}:${nonce}:${nc}:${cnonce}:${qop}:${ha2}`) : hash(`${ha1}:${nonce}:${ha2}`);
+
+		if (username !== user || !safeEqual(response, expected)) {
+			return fail('Invalid username or password');
+		}
+		// Right password, old nonce: the client should retry with the new one
+		if (nonceState === 'stale') {
+			return fail('Nonce expired', true);
+		}
+		authorize(req, res, next, user);
+	});
+
+	return router;
+}
+
+module.exports = { ALGORITHMS, createAuthRouter };
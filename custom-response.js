@@ -0,0 +1,107 @@
+const { ValidationError } = require('./errors');
+
+const TOKEN = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/;
+
+// Headers that control message framing; overriding them would corrupt the response
+const FORBIDDEN_HEADERS = ['connection', 'content-length', 'keep-alive', 'trailer', 'transfer-encoding', 'upgrade'];
+
+// Characters node accepts in a header value: tab, visible ASCII and Latin-1
+const HEADER_VALUE = /^[\t\x20-\x7e\x80-\xff]*$/;
+
+const MEDIA_TYPE = /^[A-Za-z0-9!#$%&'*+.^_`|~-]+\/[A-Za-z0-9!#$%&'*+.^_`|~-]+(\s*;.*)?$/;
+
+// Drop CR, LF and other control characters so a value can't split the response
+function sanitizeHeaderValue(value) {
+	return String(value)
+		.replace(/[\x00-\x1f\x7f]/g, '')
+		.trim();
+}
+
+// Reject values res.set would throw on (e.g. "€"), so they are a 400 not a 500
+function checkHeaderValue(value, what) {
+	if (!HEADER_VALUE.test(value)) {
+		throw new ValidationError(`Invalid ${what}, only ASCII and Latin-1 characters are allowed`);
+	}
+	return value;
+}
+
+// A query parameter may be repeated (?header=a&header=b); request headers are
+// read with headersDistinct so repeated X-Mock-* headers aren't comma-joined.
+function collect(req, param, header) {
+	const fromQuery = req.query[param] === undefined ? [] : [].concat(req.query[param]);
+	const fromHeaders = req.headersDistinct[header] || [];
+	return [...fromQuery, ...fromHeaders].map(String);
+}
+
+function first(req, param, header) {
+	return collect(req, param, header)[0];
+}
+
+function parseHeader(value) {
+	const separator = value.indexOf(':');
+	const name = value.slice(0, separator).trim();
+
+	if (separator === -1 || !TOKEN.test(name)) {
+		throw new ValidationError('Invalid header, expected "Name: value"');
+	}
+	if (FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+		throw new ValidationError(`The ${name} header cannot be overridden`);
+	}
+
+	return [name, checkHeaderValue(sanitizeHeaderValue(value.slice(separator + 1)), 'header')];
+}
+
+function parseCookie(value) {
+	const cookie = checkHeaderValue(sanitizeHeaderValue(value), 'cookie');
+	const name = cookie.split('=')[0];
+
+	if (!cookie.includes('=') || !TOKEN.test(name)) {
+		throw new ValidationError('Invalid cookie, expected "name=value" with optional attributes');
+	}
+
+	return cookie;
+}
+
+// Apply client-requested headers and cookies. Supported via query parameters
+// or the equivalent request headers:
+//   ?header=Name:value        X-Mock-Header     extra response header (repeatable)
+//   ?cookie=name=value; Path=/ X-Mock-Cookie    Set-Cookie entry (repeatable)
+//   ?content-type=...         X-Mock-Content-Type  content type of the custom body
+//   ?body=...                 X-Mock-Body       literal response body
+//   ?body64=...               X-Mock-Body64     base64-encoded response body
+// Returns the custom body (string or Buffer), or undefined when none was given.
+function applyCustomResponse(req, res) {
+	for (const value of collect(req, 'header', 'x-mock-header')) {
+		const [name, headerValue] = parseHeader(value);
+		res.append(name, headerValue);
+	}
+
+	for (const value of collect(req, 'cookie', 'x-mock-cookie')) {
+		res.append('Set-Cookie', parseCookie(value));
+	}
+
+	const contentType = first(req, 'content-type', 'x-mock-content-type');
+	if (contentType !== undefined && !MEDIA_TYPE.test(checkHeaderValue(sanitizeHeaderValue(contentType), 'content-type'))) {
+		throw new ValidationError('Invalid content-type, expected type/subtype');
+	}
+	const text = first(req, 'body', 'x-mock-body');
+	const base64 = first(req, 'body64', 'x-mock-body64');
+
+	let body;
+	if (base64 !== undefined) {
+		if (!/^[A-Za-z0-9+/_-]*={0,2}$/.test(base64)) {
+			throw new ValidationError('Invalid body64, expected base64');
+		}
+		body = Buffer.from(base64, 'base64');
+	} else if (text !== undefined) {
+		body = text;
+	}
+
+	if (body !== undefined) {
+		res.type(contentType ? sanitizeHeaderValue(contentType) : Buffer.isBuffer(body) ? 'application/octet-stream' : 'text/plain');
+	}
+
+	return body;
+}
+
+module.exports = { TOKEN, FORBIDDEN_HEADERS, HEADER_VALUE, sanitizeHeaderValue, checkHeaderValue, applyCustomResponse };
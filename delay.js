@@ -0,0 +1,84 @@
+const { ValidationError } = require('./errors');
+
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000 };
+
+// Parse "500", "500ms", "2s" or "1m" into milliseconds (NaN when invalid)
+function parseDuration(value) {
+	const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m)?\s*$/.exec(String(value));
+	if (!match) return NaN;
+	return Math.round(parseFloat(match[1]) * UNITS[match[2] || 'ms']);
+}
+
+function randomBetween(min, max, random = Math.random) {
+	return Math.round(min + random() * (max - min));
+}
+
+// Turn a delay spec into { ms, hang }. Supported forms:
+//   "500" / "2s"        fixed delay
+//   "100-500"           uniform range
+//   "1s~200ms"          base delay with +/- jitter
+//   "hang"              never respond (the socket is dropped at maxDelay)
+//   "hang:5s"           drop the socket after 5s without responding
+function resolveDelay(spec, { maxDelay, random = Math.random } = {}) {
+	const value = String(spec).trim();
+	let ms;
+	let hang = false;
+
+	if (value === 'hang' || value.startsWith('hang:')) {
+		hang = true;
+		ms = value === 'hang' ? maxDelay : parseDuration(value.slice('hang:'.length));
+	} else if (value.includes('~')) {
+		const [base, jitter] = value.split('~').map(parseDuration);
+		ms = Math.max(0, randomBetween(base - jitter, base + jitter, random));
+	} else if (value.includes('-')) {
+		const [min, max] = value.split('-').map(parseDuration);
+		if (min > max) throw new ValidationError('Invalid delay range, minimum exceeds maximum');
+		ms = randomBetween(min, max, random);
+	} else {
+		ms = parseDuration(value);
+	}
+
+	if (isNaN(ms)) {
+		throw new ValidationError('Invalid delay, expected e.g. 500, 2s, 100-500, 1s~200ms, hang or hang:5s');
+	}
+	if (ms > maxDelay) {
+		throw new ValidationError(`Delay exceeds the server maximum of ${maxDelay}ms`);
+	}
+
+	return { ms, hang };
+}
+
+// Wait for a resolved delay before calling next(), or drop the connection
+// when it is a hang
+function holdResponse(req, res, { ms, hang }, next) {
+	const timer = setTimeout(() => {
+		if (hang) {
+			req.log.info({ delay: ms }, 'Dropping connection after hang');
+			return req.socket.destroy();
+		}
+		next();
+	}, ms);
+
+	// Stop waiting if the client gives up first
+	res.on('close', () => clearTimeout(timer));
+}
+
+// Middleware that holds the response for ?delay= or the X-Mock-Delay header.
+// Routes that need reproducible delays can put a seeded RNG in res.locals.random.
+function createDelay({ maxDelay }) {
+	return function delay(req, res, next) {
+		const spec = req.query.delay !== undefined ? req.query.delay : req.get('X-Mock-Delay');
+		if (spec === undefined || spec === '') return next();
+
+		let resolved;
+		try {
+			resolved = resolveDelay(spec, { maxDelay, random: res.locals.random });
+		} catch (err) {
+			return next(err);
+		}
+
+		holdResponse(req, res, resolved, next);
+	};
+}
+
+module.exports = { parseDuration, resolveDelay, holdResponse, createDelay };
@@ -0,0 +1,17 @@
+// Custom error classes
+class HttpError extends Error {
+	constructor(statusCode, message) {
+		super(message);
+		this.statusCode = statusCode;
+		this.name = 'HttpError';
+	}
+}
+
+class ValidationError extends HttpError {
+	constructor(message) {
+		super(400, message);
+		this.name = 'ValidationError';
+	}
+}
+
+module.exports = { HttpError, ValidationError };
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const { ValidationError } = require('./errors');
+
+// Request headers carrying credentials, replaced with "[redacted]" by default
+const REDACTED_HEADERS = ['authorization', 'proxy-authorization', 'cookie'];
+
+// Fixed-size ring buffer of handled requests, optionally mirrored to a JSONL
+// file. If the file can't be written the error is logged and mirroring stops.
+// `redactHeaders` lists the request headers to hide; false keeps them all.
+class RequestJournal {
+	constructor({ size = 1000, file, logger, redactHeaders = REDACTED_HEADERS } = {}) {
+		this.size = size;
+		this.redactHeaders = (redactHeaders || []).map(name => name.toLowerCase());
+		this.entries = [];
+		this.nextId = 1;
+		this.stream = file ? fs.createWriteStream(file, { flags: 'a' }) : null;
+
+		if (this.stream) {
+			this.stream.on('error', err => {
+				if (logger) logger.error({ file, error: err.message }, 'Failed to write the journal file, no longer mirroring');
+				this.stream = null;
+			});
+		}
+	}
+
+	record(entry) {
+		const record = { id: this.nextId++, ...entry };
+		if (record.headers) {
+			record.headers = this.redact(record.headers);
+		}
+
+		this.entries.push(record);
+		if (this.entries.length > this.size) {
+			this.entries.shift();
+		}
+		if (this.stream) {
+			this.stream.write(`${JSON.stringify(record)}\n`);
+		}
+
+		return record;
+	}
+
+	redact(headers) {
+		const redacted = { ...headers };
+		for (const name of this.redactHeaders) {
+			if (redacted[name] !== undefined) redacted[name] = '[redacted]';
+		}
+		return redacted;
+	}
+
+	// Entries matching every given filter, oldest first. `limit` keeps the newest.
+	list({ method, path, status, since, limit } = {}) {
+		let entries = this.entries.filter(
+			entry =>
+				(method === undefined || entry.method === method) &&
+				(path === undefined || entry.path === path) &&
+				(status === undefined || entry.status === status) &&
+				(since === undefined || Date.parse(entry.timestamp) >= since)
+		);
+
+		if (limit !== undefined) {
+			entries = entries.slice(-limit);
+		}
+		return entries;
+	}
+
+	clear() {
+		this.entries = [];
+	}
+
+	close() {
+		if (this.stream) this.stream.end();
+	}
+}
+
+// Turn GET /__admin/requests query parameters into journal filters
+function parseJournalFilter(query) {
+	const filter = {};
+
+	if (query.method !== undefined) filter.method = String(query.method).toUpperCase();
+	if (query.path !== undefined) filter.path = String(query.path);
+	if (query.status !== undefined) {
+		filter.status = parseInt(query.status);
+		if (isNaN(filter.status)) throw new ValidationError('Invalid status filter');
+	}
+	if (query.since !== undefined) {
+		filter.since = /^\d+$/.test(query.since) ? parseInt(query.since) : Date.parse(query.since);
+		if (isNaN(filter.since)) throw new ValidationError('Invalid since filter, expected a timestamp or ISO date');
+	}
+	if (query.limit !== undefined) {
+		filter.limit = parseInt(query.limit);
+		if (isNaN(filter.limit) || filter.limit < 1) throw new ValidationError('Invalid limit, expected a positive integer');
+	}
+
+	return filter;
+}
+
+// Record every request once its response is done (or its connection dropped).
+// Requests matching `exclude` (e.g. the admin API itself) are skipped.
+function createJournalMiddleware(journal, { exclude = () => false } = {}) {
+	return function journalRequests(req, res, next) {
+		if (exclude(req)) return next();
+
+		const entry = {
+			timestamp: new Date().toISOString(),
+			method: req.method,
+			path: req.path,
+			url: req.originalUrl,
+			query: req.query,
+			headers: req.headers,
+		};
+		const start = process.hrtime.bigint();
+
+		// The body is only parsed further down the stack, so read it at the end
+		res.on('close', () => {
+			journal.record({
+				...entry,
+				body: req.body === undefined ? null : req.body,
+				status: res.headersSent ? res.statusCode : null,
+				durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+			});
+		});
+
+		next();
+	};
+}
+
+module.exports = { REDACTED_HEADERS, RequestJournal, parseJournalFilter, createJournalMiddleware };
@@ -0,0 +1,87 @@
+const client = require('prom-client');
+
+const START = Symbol('metricsStart');
+
+// Bounded label for the kind of route that served a request
+function routeType(req, res) {
+	if (res.getHeader('X-Mock-Rule')) return 'mock';
+	if (res.getHeader('X-Mock-Proxy')) return 'proxy';
+
+	const [segment] = req.path.split('/').filter(Boolean);
+	if (segment === undefined) return 'index';
+	if (/^\d+$/.test(segment)) return 'status';
+	if (segment === '__admin') return 'admin';
+	if (segment === 'healthz' || segment === 'readyz') return 'health';
+	if (['metrics', 'api', 'auth', 'sequence', 'scenario', 'random', 'ratelimited', 'stream'].includes(segment)) return segment;
+	return 'other';
+}
+
+// Prometheus metrics for one server instance, kept in their own registry so
+// several instances can run in the same process. The default process metrics
+// start a GC observer and an event loop monitor that are never released, so
+// they are opt-in (the CLI turns them on).
+function createMetrics({ defaultMetrics = false } = {}) {
+	const registry = new client.Registry();
+	if (defaultMetrics) {
+		client.collectDefaultMetrics({ register: registry });
+	}
+
+	const requests = new client.Counter({
+		name: 'http_mock_requests_total',
+		help: 'Requests served, by status code, method and route type',
+		labelNames: ['status', 'method', 'route_type'],
+		registers: [registry],
+	});
+	const duration = new client.Histogram({
+		name: 'http_mock_request_duration_seconds',
+		help: 'Time from receiving a request to completing its response, including mocked delays',
+		labelNames: ['status', 'method', 'route_type'],
+		buckets: [0.005, 0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+		registers: [registry],
+	});
+	const rateLimited = new client.Counter({
+		name: 'http_mock_rate_limit_rejections_total',
+		help: 'Requests rejected by the server-wide rate limiter',
+		registers: [registry],
+	});
+
+	return {
+		registry,
+
+		// Mark the start of a request; mount before the request logger
+		start(req, res, next) {
+			req[START] = process.hrtime.bigint();
+			next();
+		},
+
+		// Called once per completed (or aborted) response
+		observeResponse(req, res) {
+			const labels = {
+				// A dropped connection (e.g. hang mode) never sent a status
+				status: res.headersSent ? String(res.statusCode) : 'aborted',
+				method: req.method,
+				route_type: routeType(req, res),
+			};
+
+			requests.inc(labels);
+			if (req[START] !== undefined) {
+				duration.observe(labels, Number(process.hrtime.bigint() - req[START]) / 1e9);
+			}
+		},
+
+		observeRateLimited() {
+			rateLimited.inc();
+		},
+
+		async handler(req, res, next) {
+			try {
+				res.set('Content-Type', registry.contentType);
+				res.end(await registry.metrics());
+			} catch (err) {
+				next(err);
+			}
+		},
+	};
+}
+
+module.exports = { createMetrics };
@@ -0,0 +1,52 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { normalizeRule, createRuleRouter } = require('./mock-rules');
+
+// Read a JSON or YAML mock file: { "mocks": [rule, ...] } or a bare array.
+// `maxDelay` rejects rules with longer delays.
+function loadMockConfig(file, { maxDelay } = {}) {
+	const source = fs.readFileSync(file, 'utf8');
+	const config = ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? YAML.parse(source) : JSON.parse(source);
+	const rules = Array.isArray(config) ? config : config && config.mocks;
+
+	if (!Array.isArray(rules)) {
+		throw new Error(`${file}: expected a "mocks" array`);
+	}
+
+	return rules.map((rule, index) => {
+		try {
+			return normalizeRule(rule, { maxDelay });
+		} catch (err) {
+			throw new Error(`${file}: mocks[${index}]: ${err.message}`);
+		}
+	});
+}
+
+// Serve the rules from a mock file, reloading them whenever the file changes.
+// A file that fails to reload is logged and the previous rules stay active.
+function createMockConfig({ file, logger, ...routerOptions }) {
+	let rules = loadMockConfig(file, routerOptions);
+	let router = createRuleRouter(rules, routerOptions);
+	logger.info({ file, rules: rules.length }, 'Loaded mock rules');
+
+	fs.watchFile(file, { interval: 500 }, (current, previous) => {
+		if (current.mtimeMs === previous.mtimeMs) return;
+
+		try {
+			rules = loadMockConfig(file, routerOptions);
+			router = createRuleRouter(rules, routerOptions);
+			logger.info({ file, rules: rules.length }, 'Reloaded mock rules');
+		} catch (err) {
+			logger.error({ file, error: err.message }, 'Failed to reload mock rules, keeping the previous ones');
+		}
+	});
+
+	return {
+		middleware: (req, res, next) => router(req, res, next),
+		rules: () => rules,
+		close: () => fs.unwatchFile(file),
+	};
+}
+
+module.exports = { loadMockConfig, createMockConfig };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { normalizeRule, createRuleRouter } = require('./mock-rules');
+
+// Mock rules registered at runtime through the admin API. The router is
+// rebuilt on every change so rules are always served in registration order.
+class MockRegistry {
+	constructor(routerOptions) {
+		this.routerOptions = routerOptions;
+		this.rules = [];
+		this.rebuild([]);
+	}
+
+	// Build the router first, so a rule it can't serve leaves the registry unchanged
+	rebuild(rules) {
+		this.router = createRuleRouter(rules, this.routerOptions);
+		this.rules = rules;
+	}
+
+	list() {
+		return this.rules;
+	}
+
+	get(id) {
+		const rule = this.rules.find(rule => rule.id === id);
+		if (!rule) {
+			throw new HttpError(404, `Unknown mock: ${id}`);
+		}
+		return rule;
+	}
+
+	add(rule) {
+		const id = rule && rule.id !== undefined ? rule.id : crypto.randomUUID();
+		const normalized = normalizeRule({ ...rule, id }, this.routerOptions);
+		if (this.rules.some(existing => existing.id === normalized.id)) {
+			throw new HttpError(409, `Mock already exists: ${normalized.id}`);
+		}
+
+		this.rebuild([...this.rules, normalized]);
+		return normalized;
+	}
+
+	// Replace a rule in place, keeping its id and position
+	update(id, rule) {
+		const existing = this.get(id);
+		const normalized = normalizeRule({ ...rule, id }, this.routerOptions);
+
+		this.rebuild(this.rules.map(rule => (rule === existing ? normalized : rule)));
+		return normalized;
+	}
+
+	remove(id) {
+		const existing = this.get(id);
+		this.rebuild(this.rules.filter(rule => rule !== existing));
+	}
+
+	reset() {
+		this.rebuild([]);
+	}
+
+	middleware() {
+		return (req, res, next) => this.router(req, res, next);
+	}
+}
+
+module.exports = { MockRegistry };
@@ -0,0 +1,195 @@
+const http = require('http');
+const express = require('express');
+const { ValidationError } = require('./errors');
+const { isValidStatusCode } = require('./responses');
+const { resolveDelay, holdResponse } = require('./delay');
+const { TOKEN, FORBIDDEN_HEADERS, HEADER_VALUE } = require('./custom-response');
+const { MemoryStore, MODES, parseSequence, stepIndex, clientKey } = require('./sequences');
+
+function isPlainObject(value) {
+	return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isStringMap(value) {
+	return isPlainObject(value) && Object.values(value).every(v => typeof v === 'string');
+}
+
+// Response headers must be valid tokens with values that can't split the response
+function validateResponseHeaders(headers) {
+	for (const [name, value] of Object.entries(headers)) {
+		if (!TOKEN.test(name)) {
+			throw new ValidationError(`Invalid rule, bad response header name: ${name}`);
+		}
+		if (FORBIDDEN_HEADERS.includes(name.toLowerCase())) {
+			throw new ValidationError(`Invalid rule, the ${name} header cannot be overridden`);
+		}
+		if (!HEADER_VALUE.test(value)) {
+			throw new ValidationError(`Invalid rule, response header ${name} may only contain ASCII and Latin-1 characters`);
+		}
+	}
+}
+
+// Validate a rule and fill in defaults. A rule looks like:
+//   {
+//     id: 'create-order',                                   optional, defaults to "METHOD path"
+//     match: { method, path, query, headers, exactQuery },  path uses express route syntax
+//     response: { status, headers, body, delay, sequence, mode },
+//   }
+// With exactQuery, requests carrying query parameters not listed in `query` don't match.
+// response.delay is resolved once here, against `maxDelay`, so a bad delay
+// rejects the rule when it is loaded rather than failing every request.
+function normalizeRule(rule, { maxDelay = Infinity } = {}) {
+	if (!isPlainObject(rule) || !isPlainObject(rule.match) || !isPlainObject(rule.response || {})) {
+		throw new ValidationError('Invalid rule, expected { match: { path }, response: { status } }');
+	}
+
+	const { method, path, query = {}, headers = {}, exactQuery = false } = rule.match;
+	const { status = 200, headers: responseHeaders = {}, body, delay, sequence, mode = 'stick' } = rule.response || {};
+
+	if (typeof path !== 'string' || !path.startsWith('/')) {
+		throw new ValidationError('Invalid rule, match.path must start with "/"');
+	}
+	try {
+		// Compile the path the way createRuleRouter will
+		express.Router().all(path, () => {});
+	} catch (err) {
+		throw new ValidationError(`Invalid rule, match.path is not a valid route: ${err.message}`);
+	}
+	if (method !== undefined && !http.METHODS.includes(String(method).toUpperCase())) {
+		throw new ValidationError(`Invalid rule, unknown method: ${method}`);
+	}
+	if (!isStringMap(query) || !isStringMap(headers) || !isStringMap(responseHeaders)) {
+		throw new ValidationError('Invalid rule, query and headers must map names to strings');
+	}
+	if (typeof exactQuery !== 'boolean') {
+		throw new ValidationError('Invalid rule, match.exactQuery must be true or false');
+	}
+	validateResponseHeaders(responseHeaders);
+	if (delay !== undefined) {
+		try {
+			resolveDelay(delay, { maxDelay });
+		} catch (err) {
+			throw new ValidationError(`Invalid rule, response.delay: ${err.message}`);
+		}
+	}
+	if (!isValidStatusCode(status)) {
+		throw new ValidationError('Invalid rule, response.status must be a status code (100-599)');
+	}
+	if (!MODES.includes(mode)) {
+		throw new ValidationError(`Invalid rule, response.mode must be one of: ${MODES.join(', ')}`);
+	}
+
+	const upperMethod = method === undefined ? undefined : String(method).toUpperCase();
+
+	return {
+		id: rule.id !== undefined ? String(rule.id) : `${upperMethod || 'ALL'} ${path}`,
+		match: {
+			method: upperMethod,
+			path,
+			query,
+			exactQuery,
+			// Request header names are matched case-insensitively
+			headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])),
+		},
+		response: {
+			status,
+			headers: responseHeaders,
+			body,
+			delay: delay === undefined ? undefined : String(delay),
+			sequence: sequence === undefined ? undefined : parseSequence([].concat(sequence).join(',')),
+			mode,
+		},
+	};
+}
+
+function lookup(context, expression) {
+	return expression.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+// Replace {{params.id}}, {{query.x}}, {{headers.x}}, {{body.x}}, {{method}}
+// and {{path}} in strings, recursing into objects and arrays
+function renderTemplate(template, context) {
+	if (typeof template === 'string') {
+		return template.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, expression) => {
+			const value = lookup(context, expression);
+			if (value === undefined) return '';
+			return typeof value === 'object' ? JSON.stringify(value) : String(value);
+		});
+	}
+	if (Array.isArray(template)) {
+		return template.map(item => renderTemplate(item, context));
+	}
+	if (isPlainObject(template)) {
+		return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+	}
+	return template;
+}
+
+// Listed query parameters must match; with exactQuery no others may be sent
+function matchesRequest(rule, req) {
+	const { query, headers, exactQuery } = rule.match;
+	return (
+		Object.entries(query).every(([name, value]) => req.query[name] === value) &&
+		(!exactQuery || Object.keys(req.query).length === Object.keys(query).length) &&
+		Object.entries(headers).every(([name, value]) => req.get(name) === value)
+	);
+}
+
+// Build a router serving the given (normalized) rules in order. Rules without
+// a body fall back to `respond(req, res, statusCode)`, the shared status page.
+function createRuleRouter(rules, { store = new MemoryStore(), respond, maxDelay }) {
+	const router = express.Router();
+
+	for (const rule of rules) {
+		const method = rule.match.method ? rule.match.method.toLowerCase() : 'all';
+
+		router[method](rule.match.path, async (req, res, next) => {
+			if (!matchesRequest(rule, req)) return next('route');
+
+			try {
+				const { response } = rule;
+				let statusCode = response.status;
+
+				if (response.sequence) {
+					const call = await store.increment(`rule:${rule.id}:${clientKey(req)}`);
+					statusCode = response.sequence[stepIndex(call, response.sequence.length, response.mode)];
+				}
+
+				// May run from a delay timer, outside the surrounding try/catch
+				const serve = () => {
+					try {
+						res.set('X-Mock-Rule', rule.id);
+						res.set(response.headers);
+
+						if (response.body === undefined) {
+							return respond(req, res, statusCode);
+						}
+
+						const context = {
+							params: req.params,
+							query: req.query,
+							headers: req.headers,
+							body: req.body,
+							method: req.method,
+							path: req.path,
+						};
+						const body = renderTemplate(response.body, context);
+						res.status(statusCode);
+						return typeof body === 'string' ? res.send(body) : res.json(body);
+					} catch (err) {
+						next(err);
+					}
+				};
+
+				if (response.delay === undefined) return serve();
+				holdResponse(req, res, resolveDelay(response.delay, { maxDelay }), serve);
+			} catch (err) {
+				next(err);
+			}
+		});
+	}
+
+	return router;
+}
+
+module.exports = { normalizeRule, renderTemplate, createRuleRouter };
@@ -0,0 +1,231 @@
+const fs = require('fs');
+const express = require('express');
+const parseurl = require('parseurl');
+const { HttpError, ValidationError } = require('./errors');
+const { normalizeRule } = require('./mock-rules');
+const { loadMockConfig } = require('./mock-config');
+
+// Connection-level headers that must not be forwarded in either direction
+const HOP_BY_HOP_HEADERS = [
+	'connection',
+	'keep-alive',
+	'proxy-authenticate',
+	'proxy-authorization',
+	'te',
+	'trailer',
+	'transfer-encoding',
+	'upgrade',
+];
+
+// fetch decodes the body, so its original framing no longer applies
+const FRAMING_HEADERS = ['content-encoding', 'content-length'];
+
+// Paths containing express route syntax can't be replayed as a literal match
+const ROUTE_SYNTAX = /[:*()+?]/;
+
+function isTextual(contentType) {
+	return !contentType || /^text\/|json|xml|javascript|x-www-form-urlencoded/.test(contentType);
+}
+
+// Recorded upstream responses, kept as mock rules keyed by method and URL so a
+// repeated request replaces the earlier recording. With a `file`, every change
+// is written out as a mock file that MOCKS_FILE can replay later.
+class Recorder {
+	constructor({ file, logger } = {}) {
+		this.file = file;
+		this.logger = logger;
+		this.rules = new Map();
+		this.writing = Promise.resolve();
+
+		// Keep recording on top of an earlier session
+		if (file && fs.existsSync(file)) {
+			for (const rule of loadMockConfig(file)) {
+				this.rules.set(rule.id, rule);
+			}
+		}
+	}
+
+	record(rule) {
+		const normalized = normalizeRule(rule);
+		this.rules.set(normalized.id, normalized);
+		this.save();
+		return normalized;
+	}
+
+	list() {
+		return [...this.rules.values()];
+	}
+
+	clear() {
+		this.rules.clear();
+		this.save();
+	}
+
+	// Writes are chained so the file always ends up with the latest rules
+	save() {
+		if (!this.file) return;
+
+		const data = `${JSON.stringify({ mocks: this.list() }, null, 2)}\n`;
+		this.writing = this.writing
+			.then(() => fs.promises.writeFile(this.file, data))
+			.catch(err => {
+				if (this.logger) this.logger.error({ file: this.file, error: err.message }, 'Failed to save recordings');
+			});
+	}
+
+	// Resolves once pending writes are done
+	close() {
+		return this.writing;
+	}
+}
+
+// Keep the raw request body while the body parsers consume it, so it can be
+// forwarded byte for byte. Pass as the parsers' `verify` option.
+function keepRawBody(req, res, buf) {
+	req.rawBody = buf;
+}
+
+async function readBody(req) {
+	if (req.method === 'GET' || req.method === 'HEAD') return undefined;
+	if (req.rawBody !== undefined) return req.rawBody;
+
+	// Bodies of types no parser handles are still unread
+	const chunks = [];
+	for await (const chunk of req) {
+		chunks.push(chunk);
+	}
+	return chunks.length > 0 ? Buffer.concat(chunks) : undefined;
+}
+
+function forwardHeaders(req) {
+	const headers = {};
+	for (const [name, value] of Object.entries(req.headers)) {
+		// X-Mock-* headers are instructions for this server, not the upstream
+		if (HOP_BY_HOP_HEADERS.includes(name) || name === 'host' || name === 'content-length' || name.startsWith('x-mock-')) {
+			continue;
+		}
+		headers[name] = [].concat(value).join(', ');
+	}
+
+	headers['x-forwarded-for'] = [req.headers['x-forwarded-for'], req.socket.remoteAddress].filter(Boolean).join(', ');
+	headers['x-forwarded-host'] = req.get('Host');
+	headers['x-forwarded-proto'] = req.protocol;
+	return headers;
+}
+
+function responseHeaders(response) {
+	const headers = {};
+	for (const [name, value] of response.headers) {
+		if (HOP_BY_HOP_HEADERS.includes(name) || FRAMING_HEADERS.includes(name) || name === 'set-cookie') continue;
+		headers[name] = value;
+	}
+	return headers;
+}
+
+// Turn a proxied exchange into a mock rule matching the same method, path and
+// query. Returns undefined for responses a rule can't reproduce.
+function toRule(req, response, headers, body) {
+	const contentType = response.headers.get('content-type');
+	if (ROUTE_SYNTAX.test(req.path) || !isTextual(contentType)) return undefined;
+	// Repeated or nested query parameters can't be matched exactly
+	if (Object.values(req.query).some(value => typeof value !== 'string')) return undefined;
+
+	let recordedBody = body.toString('utf8');
+	if (contentType && contentType.includes('json') && recordedBody) {
+		try {
+			recordedBody = JSON.parse(recordedBody);
+		} catch (err) {
+			// Not actually JSON; keep the text
+		}
+	}
+
+	const { date, ...recordedHeaders } = headers;
+
+	return {
+		id: `${req.method} ${req.originalUrl}`,
+		// Exact, so a recording of /items doesn't also answer /items?page=2
+		match: { method: req.method, path: req.path, query: req.query, exactQuery: true },
+		response: { status: response.status, headers: recordedHeaders, body: recordedBody },
+	};
+}
+
+// Upstream URL for a request. Only the path and query are taken from the
+// client, so an absolute or protocol-relative target can't pick the host.
+function upstreamTarget(req, base, basePath) {
+	const { pathname, search } = parseurl.original(req);
+	let target;
+	try {
+		target = new URL(base.origin + basePath + pathname + (search || ''));
+	} catch (err) {
+		throw new ValidationError('Invalid request target');
+	}
+	if (target.origin !== base.origin) {
+		throw new ValidationError('Request target must stay on the upstream');
+	}
+	return target;
+}
+
+// Send the request upstream and read the whole response; failures become 502/504
+async function forward(req, target, timeout) {
+	try {
+		const response = await fetch(target, {
+			method: req.method,
+			headers: forwardHeaders(req),
+			body: await readBody(req),
+			redirect: 'manual',
+			signal: AbortSignal.timeout(timeout),
+		});
+		return { response, body: Buffer.from(await response.arrayBuffer()) };
+	} catch (err) {
+		if (err.name === 'TimeoutError') {
+			throw new HttpError(504, `Upstream did not respond within ${timeout}ms`);
+		}
+		throw new HttpError(502, `Upstream request failed: ${(err.cause && err.cause.code) || err.message}`);
+	}
+}
+
+// Forward every request that reaches it to `upstream` and relay the response.
+// Mount after the mock rules so they can override (or break) chosen paths.
+// With a `recorder`, each relayed response is also recorded as a mock rule.
+// `middleware` runs before the request is forwarded (e.g. the delay middleware).
+function createProxy({ upstream, recorder, timeout = 30 * 1000, middleware = [] }) {
+	const base = new URL(upstream);
+	const basePath = base.pathname.replace(/\/$/, '');
+	const router = express.Router();
+
+	// Express 4 doesn't catch rejected promises, so every error goes to next()
+	router.use(...middleware, async (req, res, next) => {
+		try {
+			const target = upstreamTarget(req, base, basePath);
+			const { response, body } = await forward(req, target, timeout);
+			const headers = responseHeaders(response);
+
+			if (recorder) {
+				const rule = toRule(req, response, headers, body);
+				if (rule) {
+					recorder.record(rule);
+				} else {
+					req.log.debug({ path: req.path }, 'Response not recordable, passing through only');
+				}
+			}
+
+			// setHeader rather than res.set, which would add a charset to Content-Type
+			res.status(response.status);
+			for (const [name, value] of Object.entries(headers)) {
+				res.setHeader(name, value);
+			}
+			res.set('X-Mock-Proxy', target.origin);
+			const cookies = response.headers.getSetCookie();
+			if (cookies.length > 0) {
+				res.append('Set-Cookie', cookies);
+			}
+			res.end(body);
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	return router;
+}
+
+module.exports = { Recorder, keepRawBody, createProxy };
@@ -0,0 +1,121 @@
+const express = require('express');
+const { HttpError, ValidationError } = require('./errors');
+const { isValidStatusCode } = require('./responses');
+const { MemoryStore } = require('./sequences');
+
+// Built-in weight profiles, served at /random/:profile
+const PROFILES = {
+	flaky: { 200: 90, 500: 5, 503: 5 },
+	degraded: { 200: 60, 500: 20, 502: 10, 503: 10 },
+	outage: { 500: 30, 502: 20, 503: 40, 504: 10 },
+	'rate-limited': { 200: 70, 429: 30 },
+};
+
+// FNV-1a hash of a string, used to derive a 32-bit seed
+function hashSeed(value) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < value.length; i++) {
+		hash ^= value.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+}
+
+// mulberry32: small, fast, deterministic PRNG returning floats in [0, 1)
+function createRandom(seed) {
+	let state = seed >>> 0;
+	return function random() {
+		state = (state + 0x6d2b79f5) >>> 0;
+		let t = state;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+// Collect status=weight pairs from the query string (e.g. ?200=80&500=20)
+function parseWeights(query) {
+	const weights = {};
+	for (const [key, value] of Object.entries(query)) {
+		if (!/^\d{3}$/.test(key)) continue;
+
+		const weight = Number(value);
+		if (!isValidStatusCode(parseInt(key)) || !Number.isFinite(weight) || weight < 0) {
+			throw new ValidationError(`Invalid weight for ${key}, expected a non-negative number`);
+		}
+		weights[key] = weight;
+	}
+	return weights;
+}
+
+function pickStatus(weights, random) {
+	const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+	const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+	if (total === 0) {
+		throw new ValidationError('No status weights given, e.g. /random?200=80&500=20');
+	}
+
+	let roll = random() * total;
+	for (const [code, weight] of entries) {
+		roll -= weight;
+		if (roll < 0) return parseInt(code);
+	}
+	return parseInt(entries[entries.length - 1][0]);
+}
+
+// Routes for /random and /random/:profile. Query weights are merged over the
+// profile's. With ?seed= each call draws from a PRNG seeded by the seed and
+// the call count, so a run can be replayed after resetting /random/state.
+function createRandomRouter({ store = new MemoryStore(), profiles = PROFILES, respond, middleware = [] }) {
+	const router = express.Router();
+
+	async function chooseStatus(req, res, next) {
+		try {
+			let weights = {};
+			if (req.params.profile !== undefined) {
+				if (!Object.prototype.hasOwnProperty.call(profiles, req.params.profile)) {
+					throw new HttpError(404, `Unknown random profile: ${req.params.profile}`);
+				}
+				weights = { ...profiles[req.params.profile] };
+			}
+			Object.assign(weights, parseWeights(req.query));
+
+			if (req.query.seed !== undefined) {
+				const seed = String(req.query.seed);
+				const call = await store.increment(`random:${seed}`);
+				res.locals.random = createRandom(hashSeed(`${seed}:${call}`));
+				res.set('X-Mock-Random-Call', String(call));
+			}
+
+			res.locals.statusCode = pickStatus(weights, res.locals.random || Math.random);
+			next();
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	function serve(req, res) {
+		respond(req, res, res.locals.statusCode);
+	}
+
+	// Restart a seed's draws from the first call
+	async function resetSeed(req, res, next) {
+		try {
+			if (req.query.seed === undefined) {
+				throw new ValidationError('Missing seed');
+			}
+			await store.delete(`random:${req.query.seed}`);
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	router.delete('/random/state', resetSeed);
+	router.all('/random', chooseStatus, ...middleware, serve);
+	router.all('/random/:profile', chooseStatus, ...middleware, serve);
+
+	return router;
+}
+
+module.exports = { PROFILES, createRandom, hashSeed, pickStatus, createRandomRouter };
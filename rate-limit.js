@@ -0,0 +1,102 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const { HttpError, ValidationError } = require('./errors');
+const { parseDuration } = require('./delay');
+const { clientKey } = require('./sequences');
+
+// Operational routes: never counted against the server-wide limit, and kept
+// out of the request journal
+const INTERNAL_PATHS = ['/__admin', '/healthz', '/readyz', '/metrics'];
+
+function isInternalPath(path) {
+	return INTERNAL_PATHS.some(prefix => path === prefix || path.startsWith(`${prefix}/`));
+}
+
+// Server-wide limiter (default 100 requests per minute per IP). Clients on the
+// allow-list and exempt paths are skipped. `onLimited(req)` is called for
+// every rejected request; the 429 goes through the error middleware.
+function createRateLimiter({ windowMs = 1 * 60 * 1000, max = 100, allowList = [], onLimited = () => {}, ...options } = {}) {
+	return rateLimit({
+		windowMs,
+		limit: max,
+		standardHeaders: 'draft-6',
+		skip: req => allowList.includes(req.ip) || isInternalPath(req.path),
+		handler: (req, res, next) => {
+			onLimited(req);
+			next(new HttpError(429, 'Too many requests from this IP, please try again later'));
+		},
+		...options,
+	});
+}
+
+// Most distinct limit/window pairs kept by /ratelimited before the oldest is dropped
+const MAX_QUOTAS = 100;
+
+// /ratelimited?limit=5&window=10s&key=... enforces a client-chosen quota, so
+// throttling can be tested deterministically. Each limit/window pair gets its
+// own limiter; clients are told apart by key like /sequence.
+function createQuotaRouter({ respond, middleware = [] }) {
+	const router = express.Router();
+	const quotas = new Map();
+
+	function getQuota(limit, windowMs) {
+		const id = `${limit}:${windowMs}`;
+		if (!quotas.has(id)) {
+			if (quotas.size >= MAX_QUOTAS) {
+				const [oldest] = quotas.keys();
+				quotas.get(oldest).store.shutdown();
+				quotas.delete(oldest);
+			}
+
+			const store = new rateLimit.MemoryStore();
+			const limiter = rateLimit({
+				windowMs,
+				limit,
+				store,
+				standardHeaders: 'draft-6',
+				legacyHeaders: false,
+				keyGenerator: clientKey,
+				handler: (req, res, next) => {
+					next(new HttpError(429, `Quota of ${limit} requests per ${windowMs}ms exceeded`));
+				},
+				// Limiters are created lazily, inside a request
+				validate: { creationStack: false },
+			});
+			quotas.set(id, { store, limiter });
+		}
+		return quotas.get(id).limiter;
+	}
+
+	function enforceQuota(req, res, next) {
+		const limit = req.query.limit === undefined ? 5 : parseInt(req.query.limit);
+		const windowMs = req.query.window === undefined ? 60 * 1000 : parseDuration(req.query.window);
+
+		if (isNaN(limit) || limit < 1) {
+			return next(new ValidationError('Invalid limit, expected a positive integer'));
+		}
+		if (isNaN(windowMs) || windowMs < 1) {
+			return next(new ValidationError('Invalid window, expected a duration such as 10s'));
+		}
+
+		getQuota(limit, windowMs)(req, res, next);
+	}
+
+	// Forget a client's usage under every quota
+	router.delete('/ratelimited/state', async (req, res, next) => {
+		try {
+			const key = clientKey(req);
+			await Promise.all([...quotas.values()].map(({ store }) => store.resetKey(key)));
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	});
+
+	router.all('/ratelimited', enforceQuota, ...middleware, (req, res) => {
+		respond(req, res, 200);
+	});
+
+	return router;
+}
+
+module.exports = { INTERNAL_PATHS, isInternalPath, createRateLimiter, createQuotaRouter };
@@ -0,0 +1,312 @@
+const { getReasonPhrase } = require('http-status-codes');
+const { getStatus } = require('./status-catalog');
+
+// Response formats selectable via ?format= or the Accept header
+const FORMATS = {
+	html: 'text/html',
+	json: 'application/json',
+	problem: 'application/problem+json',
+	text: 'text/plain',
+	xml: 'application/xml',
+};
+
+// Media types understood by negotiation, mapped back to a format name
+const MEDIA_TYPES = {
+	...Object.fromEntries(Object.entries(FORMATS).map(([format, type]) => [type, format])),
+	'text/xml': 'xml',
+};
+
+function isValidStatusCode(statusCode) {
+	return Number.isInteger(statusCode) && statusCode >= 100 && statusCode <= 599;
+}
+
+function getReason(statusCode) {
+	const cataloged = getStatus(statusCode);
+	if (cataloged) return cataloged.reason;
+
+	try {
+		return getReasonPhrase(statusCode);
+	} catch (err) {
+		return 'Unknown Status';
+	}
+}
+
+function getDescription(statusCode) {
+	const cataloged = getStatus(statusCode);
+	return (cataloged && cataloged.description) || 'No additional description available.';
+}
+
+function isValidFormat(format) {
+	return Object.prototype.hasOwnProperty.call(FORMATS, format);
+}
+
+// Pick a response format: an explicit ?format= wins, then the Accept header.
+// HTML is listed first so browsers and */* clients keep getting the page.
+function negotiateFormat(req) {
+	const override = req.query && req.query.format;
+	if (typeof override === 'string' && isValidFormat(override)) {
+		return override;
+	}
+
+	const accepted = req.accepts(Object.keys(MEDIA_TYPES));
+	return (accepted && MEDIA_TYPES[accepted]) || 'html';
+}
+
+function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+// Snapshot of what the client sent, returned in echo mode
+function describeRequest(req) {
+	return {
+		method: req.method,
+		path: req.path,
+		query: req.query,
+		headers: req.headers,
+		body: req.body === undefined ? null : req.body,
+	};
+}
+
+// RFC 9457 Problem Details object
+function problemDetails(req, statusCode, title, detail) {
+	return {
+		type: 'about:blank',
+		title,
+		status: statusCode,
+		detail,
+		instance: req.originalUrl,
+	};
+}
+
+function renderEcho(echo) {
+	if (!echo) return '';
+	return `
+                <pre class="status-echo">${escapeXml(JSON.stringify(echo, null, 2))}</pre>`;
+}
+
+function renderStatusPage(statusCode, reason, description, echo) {
+	return `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>HTTP ${statusCode}</title>
+            <style>
+                body {
+                    font-family: Arial, sans-serif;
+                    margin: 0;
+                    background-color: #f5f5f5;
+                    min-height: 100vh;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    padding: 2rem;
+                }
+                .status-container {
+                    text-align: center;
+                    padding: 2rem;
+                    background-color: white;
+                    border-radius: 8px;
+                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+                    max-width: 800px;
+                    width: 100%;
+                }
+                .status-code {
+                    font-size: 4rem;
+                    margin: 0;
+                    color: #333;
+                }
+                .status-text {
+                    font-size: 1.5rem;
+                    color: #666;
+                    margin-top: 1rem;
+                }
+                .status-description {
+                    margin-top: 2rem;
+                    color: #444;
+                    line-height: 1.6;
+                    text-align: left;
+                    padding: 1rem;
+                    background-color: #f8f9fa;
+                    border-radius: 4px;
+                }
+                .status-echo {
+                    margin-top: 1rem;
+                    padding: 1rem;
+                    text-align: left;
+                    background-color: #f8f9fa;
+                    border-radius: 4px;
+                    overflow-x: auto;
+                }
+                .home-link {
+                    display: inline-block;
+                    margin-top: 1.5rem;
+                    color: #0066cc;
+                    text-decoration: none;
+                }
+                .home-link:hover {
+                    text-decoration: underline;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="status-container">
+                <h1 class="status-code">${statusCode}</h1>
+                <p class="status-text">${reason}</p>
+                <div class="status-description">
+                    <p>${description}</p>
+                </div>${renderEcho(echo)}
+                <a href="/" class="home-link">Back to Home</a>
+            </div>
+        </body>
+        </html>
+    `;
+}
+
+function renderErrorPage(statusCode, message) {
+	return `
+		<!DOCTYPE html>
+		<html>
+		<head>
+			<title>Error ${statusCode}</title>
+			<style>
+				body {
+					font-family: Arial, sans-serif;
+					display: flex;
+					flex-direction: column;
+					align-items: center;
+					justify-content: center;
+					height: 100vh;
+					margin: 0;
+					background-color: #f5f5f5;
+				}
+				.error-container {
+					text-align: center;
+					padding: 2rem;
+					background-color: white;
+					border-radius: 8px;
+					box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+				}
+				.error-code {
+					font-size: 4rem;
+					margin: 0;
+					color: #dc3545;
+				}
+				.error-message {
+					font-size: 1.5rem;
+					color: #666;
+					margin-top: 1rem;
+				}
+				.home-link {
+					display: inline-block;
+					margin-top: 1.5rem;
+					color: #0066cc;
+					text-decoration: none;
+				}
+				.home-link:hover {
+					text-decoration: underline;
+				}
+			</style>
+		</head>
+		<body>
+			<div class="error-container">
+				<h1 class="error-code">${statusCode}</h1>
+				<p class="error-message">${escapeXml(message)}</p>
+				<a href="/" class="home-link">Back to Home</a>
+			</div>
+		</body>
+		</html>
+	`;
+}
+
+function send(res, statusCode, format, body) {
+	res.vary('Accept');
+	res.status(statusCode).type(FORMATS[format]).send(body);
+}
+
+// Respond with the page/document describing a status code. When `echo` is
+// given (see describeRequest) it is included alongside the description.
+function sendStatus(req, res, statusCode, { echo } = {}) {
+	const format = negotiateFormat(req);
+	const reason = getReason(statusCode);
+	const description = getDescription(statusCode);
+
+	switch (format) {
+		case 'json':
+			return send(res, statusCode, format, JSON.stringify({ code: statusCode, reason, description, ...(echo && { request: echo }) }));
+		case 'problem':
+			return send(
+				res,
+				statusCode,
+				format,
+				JSON.stringify({ ...problemDetails(req, statusCode, reason, description), ...(echo && { request: echo }) })
+			);
+		case 'text':
+			return send(
+				res,
+				statusCode,
+				format,
+				`${statusCode} ${reason}\n\n${description}\n` + (echo ? `\n${JSON.stringify(echo, null, 2)}\n` : '')
+			);
+		case 'xml':
+			return send(
+				res,
+				statusCode,
+				format,
+				'<?xml version="1.0" encoding="UTF-8"?>\n' +
+					`<status><code>${statusCode}</code><reason>${escapeXml(reason)}</reason>` +
+					`<description>${escapeXml(description)}</description>` +
+					(echo
+						? `<request><method>${escapeXml(echo.method)}</method><path>${escapeXml(echo.path)}</path>` +
+							`<query>${escapeXml(JSON.stringify(echo.query))}</query>` +
+							`<headers>${escapeXml(JSON.stringify(echo.headers))}</headers>` +
+							`<body>${escapeXml(JSON.stringify(echo.body))}</body></request>`
+						: '') +
+					'</status>\n'
+			);
+		default:
+			return send(res, statusCode, format, renderStatusPage(statusCode, reason, description, echo));
+	}
+}
+
+// Respond with an error document, negotiated the same way as sendStatus
+function sendError(req, res, statusCode, message) {
+	const format = negotiateFormat(req);
+	const reason = getReason(statusCode);
+
+	switch (format) {
+		case 'json':
+			return send(res, statusCode, format, JSON.stringify({ code: statusCode, reason, message }));
+		case 'problem':
+			return send(res, statusCode, format, JSON.stringify(problemDetails(req, statusCode, reason, message)));
+		case 'text':
+			return send(res, statusCode, format, `${statusCode} ${reason}\n\n${message}\n`);
+		case 'xml':
+			return send(
+				res,
+				statusCode,
+				format,
+				'<?xml version="1.0" encoding="UTF-8"?>\n' +
+					`<error><code>${statusCode}</code><reason>${escapeXml(reason)}</reason>` +
+					`<message>${escapeXml(message)}</message></error>\n`
+			);
+		default:
+			return send(res, statusCode, format, renderErrorPage(statusCode, message));
+	}
+}
+
+module.exports = {
+	FORMATS,
+	isValidStatusCode,
+	getReason,
+	getDescription,
+	describeRequest,
+	isValidFormat,
+	negotiateFormat,
+	sendStatus,
+	sendError,
+};
@@ -0,0 +1,165 @@
+const express = require('express');
+const { HttpError, ValidationError } = require('./errors');
+const { isValidStatusCode } = require('./responses');
+
+// Most counters kept by a MemoryStore before the least recently used is dropped
+const MAX_KEYS = 10000;
+
+// In-memory counter store. Any object with the same async methods (e.g. one
+// backed by Redis) can be passed to createSequenceRouter instead.
+class MemoryStore {
+	constructor({ maxKeys = MAX_KEYS } = {}) {
+		this.maxKeys = maxKeys;
+		this.counters = new Map();
+	}
+
+	async increment(key) {
+		const count = (this.counters.get(key) || 0) + 1;
+		// Re-insert so the Map stays ordered from least to most recently used
+		this.counters.delete(key);
+		this.counters.set(key, count);
+
+		if (this.counters.size > this.maxKeys) {
+			const [oldest] = this.counters.keys();
+			this.counters.delete(oldest);
+		}
+		return count;
+	}
+
+	async get(key) {
+		return this.counters.get(key) || 0;
+	}
+
+	async delete(key) {
+		this.counters.delete(key);
+	}
+
+	async keys(prefix = '') {
+		return [...this.counters.keys()].filter(key => key.startsWith(prefix));
+	}
+}
+
+const MODES = ['stick', 'wrap'];
+
+// Built-in named scenarios, served at /scenario/:name
+const SCENARIOS = {
+	flaky: { steps: [503, 503, 200], mode: 'stick' },
+	'rate-limited': { steps: [429, 429, 200], mode: 'stick' },
+	'gateway-timeout': { steps: [504, 200], mode: 'stick' },
+	'eventual-consistency': { steps: [404, 404, 200], mode: 'stick' },
+	intermittent: { steps: [200, 500], mode: 'wrap' },
+};
+
+// Parse "503,503,200" into a list of status codes
+function parseSequence(value) {
+	const steps = String(value)
+		.split(',')
+		.map(code => parseInt(code));
+
+	if (!steps.every(isValidStatusCode)) {
+		throw new ValidationError('Invalid sequence, expected comma-separated status codes (100-599)');
+	}
+
+	return steps;
+}
+
+function parseMode(value, fallback) {
+	if (value === undefined) return fallback;
+	if (!MODES.includes(value)) {
+		throw new ValidationError(`Invalid mode, expected one of: ${MODES.join(', ')}`);
+	}
+	return value;
+}
+
+// Index of the step served on the given (1-based) call
+function stepIndex(call, length, mode) {
+	return mode === 'wrap' ? (call - 1) % length : Math.min(call - 1, length - 1);
+}
+
+// Each client advances independently: ?key=, the X-Mock-Key header, or its IP
+function clientKey(req) {
+	return req.query.key || req.get('X-Mock-Key') || req.ip;
+}
+
+// Routes for /sequence/:codes and /scenario/:name plus their /state
+// endpoints. `respond(req, res, statusCode)` renders the chosen step and
+// `middleware` runs before each step is served (validation, delay).
+function createSequenceRouter({ store = new MemoryStore(), scenarios = SCENARIOS, respond, middleware = [] }) {
+	const router = express.Router();
+
+	function resolveSequence(req) {
+		if (req.params.codes !== undefined) {
+			return {
+				id: `sequence:${req.params.codes}`,
+				steps: parseSequence(req.params.codes),
+				mode: parseMode(req.query.mode, 'stick'),
+			};
+		}
+
+		const scenario = Object.prototype.hasOwnProperty.call(scenarios, req.params.name) && scenarios[req.params.name];
+		if (!scenario) {
+			throw new HttpError(404, `Unknown scenario: ${req.params.name}`);
+		}
+		return {
+			id: `scenario:${req.params.name}`,
+			steps: scenario.steps,
+			mode: parseMode(req.query.mode, scenario.mode || 'stick'),
+		};
+	}
+
+	async function serveStep(req, res, next) {
+		try {
+			const sequence = resolveSequence(req);
+			const call = await store.increment(`${sequence.id}:${clientKey(req)}`);
+			const index = stepIndex(call, sequence.steps.length, sequence.mode);
+
+			res.set('X-Mock-Sequence-Step', `${index + 1}/${sequence.steps.length}`);
+			respond(req, res, sequence.steps[index]);
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	async function getState(req, res, next) {
+		try {
+			const sequence = resolveSequence(req);
+			const key = clientKey(req);
+			const calls = await store.get(`${sequence.id}:${key}`);
+
+			res.json({
+				id: sequence.id,
+				key,
+				steps: sequence.steps,
+				mode: sequence.mode,
+				calls,
+				next: sequence.steps[stepIndex(calls + 1, sequence.steps.length, sequence.mode)],
+			});
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	// Reset one client's progress, or every client's when no key is given
+	async function resetState(req, res, next) {
+		try {
+			const sequence = resolveSequence(req);
+			const key = req.query.key || req.get('X-Mock-Key');
+			const keys = key ? [`${sequence.id}:${key}`] : await store.keys(`${sequence.id}:`);
+
+			await Promise.all(keys.map(k => store.delete(k)));
+			res.status(204).end();
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	for (const path of ['/sequence/:codes', '/scenario/:name']) {
+		router.get(`${path}/state`, getState);
+		router.delete(`${path}/state`, resetState);
+		router.all(path, ...middleware, serveStep);
+	}
+
+	return router;
+}
+
+module.exports = { MemoryStore, SCENARIOS, MODES, parseSequence, stepIndex, clientKey, createSequenceRouter };
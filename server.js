@@ -1,47 +1,48 @@
+const path = require('path');
 const express = require('express');
 const { getReasonPhrase } = require('http-status-codes');
-const rateLimit = require('express-rate-limit');
 const pino = require('pino');
 const pinoHttp = require('pino-http');
-const statusDescriptions = require('./status-descriptions');
-
-// Custom error classes
-class HttpError extends Error {
-	constructor(statusCode, message) {
-		super(message);
-		this.statusCode = statusCode;
-		this.name = 'HttpError';
-	}
-}
-
-class ValidationError extends HttpError {
-	constructor(message) {
-		super(400, message);
-		this.name = 'ValidationError';
-	}
-}
+const { CATALOG, createCatalogRouter } = require('./status-catalog');
+const { HttpError, ValidationError } = require('./errors');
+const { applyStatusBehavior } = require('./status-behaviors');
+const { applyCustomResponse } = require('./custom-response');
+const { MemoryStore, createSequenceRouter } = require('./sequences');
+const { createRandomRouter } = require('./random');
+const { createMockConfig } = require('./mock-config');
+const { RequestJournal, createJournalMiddleware } = require('./journal');
+const { createAdminRouter } = require('./admin');
+const { MockRegistry } = require('./mock-registry');
+const { createDelay, parseDuration } = require('./delay');
+const { isInternalPath, createRateLimiter, createQuotaRouter } = require('./rate-limit');
+const { createMetrics } = require('./metrics');
+const { createStreamRouter } = require('./streams');
+const { createAuthRouter } = require('./auth');
+const { Recorder, keepRawBody, createProxy } = require('./proxy');
+const { FORMATS, describeRequest, isValidFormat, isValidStatusCode, sendStatus, sendError } = require('./responses');
 
-// Configure logger based on environment
-const logger = pino({
-	level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
-	...(process.env.NODE_ENV !== 'production' && {
-		transport: {
-			target: 'pino-pretty',
-			options: {
-				colorize: true,
-				ignoreKeys: ['hostname', 'pid'],
-				translateTime: 'SYS:standard',
+// CLI logger: pretty-printed in development (pino-pretty is a dev dependency),
+// JSON in production
+function createLogger() {
+	return pino({
+		level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+		...(process.env.NODE_ENV !== 'production' && {
+			transport: {
+				target: 'pino-pretty',
+				options: {
+					colorize: true,
+					ignoreKeys: ['hostname', 'pid'],
+					translateTime: 'SYS:standard',
+				},
 			},
-		},
-	}),
-});
-
-const app = express();
-const port = 3001;
+		}),
+	});
+}
 
-// Add request logging middleware
-app.use(
-	pinoHttp({
+// Request logging middleware. `onResponse(req, res, err)` runs once per
+// completed response, from the same hook that picks the log level.
+function createRequestLogger(logger, { onResponse = () => {} } = {}) {
+	return pinoHttp({
 		logger,
 		// Customize log serialization
 		serializers: {
@@ -59,12 +60,13 @@ app.use(
 				};
 			},
 		},
-		customLogLevel: function (res, err) {
+		customLogLevel: function (req, res, err) {
+			onResponse(req, res, err);
 			if (res.statusCode >= 400 && res.statusCode < 500) return 'warn';
 			if (res.statusCode >= 500 || err) return 'error';
 			return 'info';
 		},
-		customSuccessMessage: function (res) {
+		customSuccessMessage: function (req, res) {
 			let message = `${res.statusCode}`;
 			try {
 				if (res.statusCode >= 100 && res.statusCode < 600) {
@@ -73,7 +75,7 @@ app.use(
 			} catch (err) {}
 			return message;
 		},
-		customErrorMessage: function (error, res) {
+		customErrorMessage: function (req, res, error) {
 			let message = `Error: ${res.statusCode}`;
 			try {
 				if (res.statusCode >= 100 && res.statusCode < 600) {
@@ -82,110 +84,75 @@ app.use(
 			} catch (err) {}
 			return message;
 		},
-	})
-);
-
-// Max 100 requests per minute per IP
-const limiter = rateLimit({
-	windowMs: 1 * 60 * 1000, // 1 minute
-	max: 100, // limit each IP to 100 requests per windowMs
-	message: {
-		status: 429,
-		message: 'Too many requests from this IP, please try again after a minute',
-	},
-});
+	});
+}
 
-app.use(limiter);
+const ALLOWED_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'];
 
-app.use(express.static('public'));
+// Echo mode is opt-in via ?echo or the X-Mock-Echo header
+function isEchoRequested(req) {
+	const flag = req.query.echo !== undefined ? req.query.echo : req.get('X-Mock-Echo');
+	return flag !== undefined && !['false', '0', 'no'].includes(String(flag).toLowerCase());
+}
 
-app.get('/:statusCode', (req, res, next) => {
+function validateStatusCode(req, res, next) {
 	const statusCode = parseInt(req.params.statusCode);
 
-	if (isNaN(statusCode) || statusCode < 100 || statusCode > 599) {
+	if (!isValidStatusCode(statusCode)) {
 		return next(new ValidationError('Invalid status code'));
 	}
 
-	const reasonPhrase = getReasonPhrase(statusCode);
+	res.locals.statusCode = statusCode;
+	next();
+}
 
-	res.status(statusCode).send(`
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>HTTP ${statusCode}</title>
-            <style>
-                body {
-                    font-family: Arial, sans-serif;
-                    margin: 0;
-                    background-color: #f5f5f5;
-                    min-height: 100vh;
-                    display: flex;
-                    flex-direction: column;
-                    align-items: center;
-                    padding: 2rem;
-                }
-                .status-container {
-                    text-align: center;
-                    padding: 2rem;
-                    background-color: white;
-                    border-radius: 8px;
-                    box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-                    max-width: 800px;
-                    width: 100%;
-                }
-                .status-code {
-                    font-size: 4rem;
-                    margin: 0;
-                    color: #333;
-                }
-                .status-text {
-                    font-size: 1.5rem;
-                    color: #666;
-                    margin-top: 1rem;
-                }
-                .status-description {
-                    margin-top: 2rem;
-                    color: #444;
-                    line-height: 1.6;
-                    text-align: left;
-                    padding: 1rem;
-                    background-color: #f8f9fa;
-                    border-radius: 4px;
-                }
-                .home-link {
-                    display: inline-block;
-                    margin-top: 1.5rem;
-                    color: #0066cc;
-                    text-decoration: none;
-                }
-                .home-link:hover {
-                    text-decoration: underline;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="status-container">
-                <h1 class="status-code">${statusCode}</h1>
-                <p class="status-text">${reasonPhrase}</p>
-                <div class="status-description">
-                    <p>${statusDescriptions[statusCode] || 'No additional description available.'}</p>
-                </div>
-                <a href="/" class="home-link">Back to Home</a>
-            </div>
-        </body>
-        </html>
-    `);
-});
+function validateFormat(req, res, next) {
+	if (req.query.format !== undefined && !isValidFormat(req.query.format)) {
+		return next(new ValidationError(`Invalid format, expected one of: ${Object.keys(FORMATS).join(', ')}`));
+	}
+	next();
+}
+
+// Shared rendering path for every route that serves a mocked status
+function respondWithStatus(req, res, statusCode) {
+	if (req.method === 'OPTIONS') {
+		res.set('Allow', ALLOWED_METHODS.join(', '));
+	}
+
+	const emptyBody = applyStatusBehavior(req, res, statusCode);
+	const customBody = applyCustomResponse(req, res);
+
+	if (emptyBody) {
+		return res.status(statusCode).end();
+	}
+
+	if (customBody !== undefined) {
+		return res.status(statusCode).send(customBody);
+	}
+
+	sendStatus(req, res, statusCode, {
+		echo: isEchoRequested(req) ? describeRequest(req) : undefined,
+	});
+}
 
-app.get('/', (req, res) => {
+// Class headings on the index page
+const STATUS_GROUPS = {
+	'1xx': '1xx Informational',
+	'2xx': '2xx Success',
+	'3xx': '3xx Redirection',
+	'4xx': '4xx Client Error',
+	'5xx': '5xx Server Error',
+};
+
+// Index page listing the cataloged status codes by class. The list is
+// rendered on the server and re-rendered by the page script from /api/codes
+// as the user searches or filters by class.
+function renderIndex(req, res) {
 	// Group status codes by their classes
-	const statusGroups = {
-		'1xx Informational': Object.keys(statusDescriptions).filter(code => code >= 100 && code < 200),
-		'2xx Success': Object.keys(statusDescriptions).filter(code => code >= 200 && code < 300),
-		'3xx Redirection': Object.keys(statusDescriptions).filter(code => code >= 300 && code < 400),
-		'4xx Client Error': Object.keys(statusDescriptions).filter(code => code >= 400 && code < 500),
-		'5xx Server Error': Object.keys(statusDescriptions).filter(code => code >= 500 && code < 600)
-	};
+	const statusGroups = Object.entries(STATUS_GROUPS).map(([codeClass, groupName]) => [
+		groupName,
+		CATALOG.filter(status => status.class === codeClass),
+	]);
 
 	res.send(`
         <!DOCTYPE html>
@@ -208,6 +175,32 @@ app.get('/', (req, res) => {
                     border-radius: 4px;
                     margin-bottom: 2rem;
                 }
+                .filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-bottom: 1.5rem;
+                }
+                .filters input {
+                    flex: 1;
+                    min-width: 200px;
+                    padding: 0.5rem;
+                    font-size: 1rem;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                }
+                .filters button {
+                    padding: 0.5rem 1rem;
+                    border: 1px solid #ccc;
+                    border-radius: 4px;
+                    background-color: white;
+                    cursor: pointer;
+                }
+                .filters button.active {
+                    background-color: #0066cc;
+                    border-color: #0066cc;
+                    color: white;
+                }
                 .status-groups {
                     display: grid;
                     grid-template-columns: repeat(auto-fit, minmax(300px, 1fr));
@@ -239,6 +232,14 @@ app.get('/', (req, res) => {
                 .status-list li:hover {
                     background-color: #f5f5f5;
                 }
+                .vendor {
+                    font-size: 0.8rem;
+                    color: #888;
+                }
+                .empty {
+                    text-align: center;
+                    color: #666;
+                }
                 a {
                     color: #0066cc;
                     text-decoration: none;
@@ -255,110 +256,361 @@ app.get('/', (req, res) => {
             <div class="instructions">
                 <p>Click on any status code below to see its details, or enter a status code (100-599) in the URL path (e.g., /404).</p>
             </div>
-            <div class="status-groups">
-                ${Object.entries(statusGroups).map(([groupName, codes]) => `
+            <div class="filters">
+                <input id="search" type="search" placeholder="Search codes, reasons, causes or vendors" aria-label="Search status codes">
+                <button type="button" class="active" data-class="">All</button>
+                ${Object.keys(STATUS_GROUPS).map(codeClass => `<button type="button" data-class="${codeClass}">${codeClass}</button>`).join('')}
+            </div>
+            <div class="status-groups" id="status-groups">
+                ${statusGroups.map(([groupName, codes]) => `
                     <div class="status-group">
                         <h2>${groupName}</h2>
                         <ul class="status-list">
-                            ${codes.map(code => {
-                                let reasonPhrase = '';
-                                try {
-                                    reasonPhrase = getReasonPhrase(parseInt(code));
-                                } catch (err) {}
-                                return `
+                            ${codes.map(status => `
                                 <li>
-                                    <a href="/${code}">${code} ${reasonPhrase}</a>
+                                    <a href="/${status.code}">${status.code} ${status.reason}</a>
+                                    ${status.vendor ? `<span class="vendor">${status.vendor}</span>` : ''}
                                 </li>
-                            `}).join('')}
+                            `).join('')}
                         </ul>
                     </div>
                 `).join('')}
             </div>
+            <script>
+                const groups = ${JSON.stringify(STATUS_GROUPS)};
+                const container = document.getElementById('status-groups');
+                const search = document.getElementById('search');
+                const buttons = document.querySelectorAll('.filters button');
+                let selectedClass = '';
+                let codes = [];
+
+                function escapeHtml(value) {
+                    const element = document.createElement('span');
+                    element.textContent = value;
+                    return element.innerHTML;
+                }
+
+                function render() {
+                    const needle = search.value.trim().toLowerCase();
+                    const matches = codes.filter(status =>
+                        (!selectedClass || status.class === selectedClass) &&
+                        (!needle || [String(status.code), status.reason, status.description, status.vendor || '', ...status.causes]
+                            .some(text => text.toLowerCase().includes(needle)))
+                    );
+
+                    const html = Object.entries(groups)
+                        .map(([codeClass, groupName]) => {
+                            const items = matches.filter(status => status.class === codeClass);
+                            if (items.length === 0) return '';
+                            return '<div class="status-group"><h2>' + groupName + '</h2><ul class="status-list">' +
+                                items.map(status => '<li><a href="/' + status.code + '">' + status.code + ' ' + escapeHtml(status.reason) + '</a>' +
+                                    (status.vendor ? '<span class="vendor">' + escapeHtml(status.vendor) + '</span>' : '') + '</li>').join('') +
+                                '</ul></div>';
+                        })
+                        .join('');
+
+                    container.innerHTML = html || '<p class="empty">No matching status codes.</p>';
+                }
+
+                search.addEventListener('input', render);
+                buttons.forEach(button => button.addEventListener('click', () => {
+                    buttons.forEach(other => other.classList.toggle('active', other === button));
+                    selectedClass = button.dataset.class;
+                    render();
+                }));
+
+                fetch('/api/codes')
+                    .then(response => response.json())
+                    .then(data => {
+                        codes = data.codes;
+                        render();
+                    });
+            </script>
         </body>
         </html>
     `);
-});
-
-app.use((req, res, next) => {
-	next(new HttpError(404, 'Resource not found'));
-});
-
-app.use((err, req, res, next) => {
-	const statusCode = err.statusCode || 500;
-	const errorMessage = err.message || 'Internal Server Error';
-
-	// Create a minimal log object with essential information
-	const logInfo = {
-		statusCode,
-		path: req.path,
-		error: {
-			name: err.name,
-			message: err.message,
-			...(err.stack && { stack: err.stack }),
-		},
+}
+
+// Final error handler, negotiated like the status pages
+function createErrorHandler(logger) {
+	return (err, req, res, next) => {
+		const statusCode = err.statusCode || 500;
+		const errorMessage = err.message || 'Internal Server Error';
+
+		// Create a minimal log object with essential information
+		const logInfo = {
+			statusCode,
+			path: req.path,
+			error: {
+				name: err.name,
+				message: err.message,
+				...(err.stack && { stack: err.stack }),
+			},
+		};
+
+		if (statusCode >= 500) {
+			logger.error(logInfo, `Server Error: ${errorMessage}`);
+		} else {
+			logger.warn(logInfo, `Client Error: ${errorMessage}`);
+		}
+
+		sendError(req, res, statusCode, errorMessage);
 	};
+}
+
+// Build a mock server. Options (all optional):
+//   port        port to listen on, 0 for an ephemeral one (default 3001)
+//   host        interface to bind (default: all)
+//   logger      pino logger (default: JSON at info level; the CLI uses createLogger)
+//   rateLimit   { windowMs, max, allowList } plus any express-rate-limit option,
+//               or false to disable (default 100 requests/minute/IP)
+//   maxDelay    upper bound for delays and hangs in ms (default 30000)
+//   journal     { size, file, redactHeaders } for the request journal
+//   mocksFile   JSON/YAML mock rules file, hot reloaded
+//   adminToken  bearer token required by /__admin; without one, /__admin is
+//               disabled when NODE_ENV is production
+//   store       counter store for sequences and seeds (default in-memory)
+//   trustProxy  express "trust proxy" setting, needed for client IPs behind a proxy
+//   proxy       { upstream, record, recordFile, timeout } to relay unmocked requests
+//               to an upstream and optionally record them (default false)
+//   defaultMetrics  include Node.js process metrics in /metrics (default false;
+//               they can't be released, so only enable them once per process)
+// Returns { app, journal, registry, store, metrics, recorder, start(), stop() }; start() resolves
+// with { port, url } once listening and stop() once every connection is closed.
+function createMockServer(options = {}) {
+	const {
+		port = 3001,
+		host,
+		logger = pino({ level: 'info' }),
+		rateLimit: rateLimitOptions = {},
+		maxDelay = 30 * 1000,
+		journal: journalOptions = {},
+		mocksFile,
+		adminToken,
+		store = new MemoryStore(),
+		trustProxy,
+		proxy: proxyOptions = false,
+		defaultMetrics = false,
+	} = options;
+
+	const app = express();
+
+	if (trustProxy !== undefined) {
+		app.set('trust proxy', trustProxy);
+	}
+
+	// Prometheus metrics, fed by the request logger's completion hook
+	const metrics = createMetrics({ defaultMetrics });
+
+	app.use(metrics.start);
+	app.use(createRequestLogger(logger, { onResponse: metrics.observeResponse }));
+
+	// In-memory journal of handled requests, inspected via /__admin/requests
+	const journal = new RequestJournal({ ...journalOptions, logger });
+
+	app.use(createJournalMiddleware(journal, { exclude: req => isInternalPath(req.path) }));
+
+	// Server-wide rate limit; admin and health routes are exempt
+	if (rateLimitOptions !== false) {
+		app.use(
+			createRateLimiter({
+				...rateLimitOptions,
+				onLimited: req => {
+					metrics.observeRateLimited();
+					req.log.warn({ ip: req.ip }, 'Rate limit exceeded');
+				},
+			})
+		);
+	}
+
+	app.use(express.static(path.join(__dirname, 'public')));
+
+	// Parse request bodies so echo mode and the journal can return them. The raw
+	// bytes are kept for proxy mode.
+	app.use(express.json({ type: ['application/json', 'application/*+json'], verify: keepRawBody }));
+	app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+	app.use(express.text({ type: 'text/*', verify: keepRawBody }));
+
+	const delay = createDelay({ maxDelay });
+
+	// Liveness, readiness and metrics, registered ahead of the /:statusCode route
+	let ready = false;
+
+	app.get('/healthz', (req, res) => {
+		res.json({ status: 'ok' });
+	});
+
+	app.get('/readyz', (req, res) => {
+		res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not ready' });
+	});
+
+	app.get('/metrics', metrics.handler);
+
+	// Mock rules registered at runtime via /__admin/mocks, checked before everything else
+	const registry = new MockRegistry({ store, respond: respondWithStatus, maxDelay });
+
+	// Responses recorded from the upstream in proxy mode
+	const recorder =
+		proxyOptions && proxyOptions.record ? new Recorder({ file: proxyOptions.recordFile, logger }) : undefined;
 
-	if (statusCode >= 500) {
-		logger.error(logInfo, `Server Error: ${errorMessage}`);
+	// Without a token the admin API is open to anyone, so production fails closed
+	if (adminToken || process.env.NODE_ENV !== 'production') {
+		app.use('/__admin', createAdminRouter({ journal, registry, store, recorder, token: adminToken }));
 	} else {
-		logger.warn(logInfo, `Client Error: ${errorMessage}`);
+		logger.warn('ADMIN_TOKEN is not set, the admin API is disabled');
+		app.use('/__admin', (req, res, next) => {
+			next(new HttpError(403, 'The admin API is disabled, set ADMIN_TOKEN to enable it'));
+		});
 	}
+	app.use(registry.middleware());
 
-	res.status(statusCode).send(`
-		<!DOCTYPE html>
-		<html>
-		<head>
-			<title>Error ${statusCode}</title>
-			<style>
-				body {
-					font-family: Arial, sans-serif;
-					display: flex;
-					flex-direction: column;
-					align-items: center;
-					justify-content: center;
-					height: 100vh;
-					margin: 0;
-					background-color: #f5f5f5;
-				}
-				.error-container {
-					text-align: center;
-					padding: 2rem;
-					background-color: white;
-					border-radius: 8px;
-					box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-				}
-				.error-code {
-					font-size: 4rem;
-					margin: 0;
-					color: #dc3545;
-				}
-				.error-message {
-					font-size: 1.5rem;
-					color: #666;
-					margin-top: 1rem;
-				}
-				.home-link {
-					display: inline-block;
-					margin-top: 1.5rem;
-					color: #0066cc;
-					text-decoration: none;
-				}
-				.home-link:hover {
-					text-decoration: underline;
-				}
-			</style>
-		</head>
-		<body>
-			<div class="error-container">
-				<h1 class="error-code">${statusCode}</h1>
-				<p class="error-message">${errorMessage}</p>
-				<a href="/" class="home-link">Back to Home</a>
-			</div>
-		</body>
-		</html>
-	`);
-});
-
-app.listen(port, () => {
-	logger.info(`Server running at http://localhost:${port}`);
-});
+	// Declarative mock rules from a JSON or YAML file, hot reloaded
+	const mockConfig =
+		mocksFile && createMockConfig({ file: mocksFile, logger, store, respond: respondWithStatus, maxDelay });
+	if (mockConfig) {
+		app.use(mockConfig.middleware);
+	}
+
+	// Proxy mode: everything not mocked above is relayed to the upstream, so
+	// mock rules become fault injection in front of a real service
+	if (proxyOptions) {
+		app.use(
+			createProxy({
+				upstream: proxyOptions.upstream,
+				recorder,
+				timeout: proxyOptions.timeout,
+				middleware: [delay],
+			})
+		);
+	}
+
+	// Status code catalog API, used by the index page
+	app.use(createCatalogRouter());
+
+	// Stateful endpoints that return a different status on successive calls
+	app.use(
+		createSequenceRouter({
+			store,
+			respond: respondWithStatus,
+			middleware: [validateFormat, delay],
+		})
+	);
+
+	// Client-chosen quotas for testing throttling
+	app.use(
+		createQuotaRouter({
+			respond: respondWithStatus,
+			middleware: [validateFormat, delay],
+		})
+	);
+
+	// Slow, streaming and malformed bodies over a real socket
+	app.use(createStreamRouter({ maxDelay, middleware: [delay] }));
+
+	// Basic, Bearer and Digest challenges that check the credentials sent back
+	app.use(
+		createAuthRouter({
+			respond: respondWithStatus,
+			middleware: [validateFormat, delay],
+		})
+	);
+
+	// Weighted random statuses for chaos testing
+	app.use(
+		createRandomRouter({
+			store,
+			respond: respondWithStatus,
+			middleware: [validateFormat, delay],
+		})
+	);
+
+	// Every method returns the requested status; HEAD bodies are stripped by express
+	app.all('/:statusCode', validateStatusCode, validateFormat, delay, (req, res) => {
+		respondWithStatus(req, res, res.locals.statusCode);
+	});
+
+	app.get('/', renderIndex);
+
+	app.use((req, res, next) => {
+		next(new HttpError(404, 'Resource not found'));
+	});
+
+	app.use(createErrorHandler(logger));
+
+	let server;
+
+	function start() {
+		return new Promise((resolve, reject) => {
+			server = app.listen(port, host);
+			server.once('error', reject);
+			server.once('listening', () => {
+				const { port: boundPort } = server.address();
+				ready = true;
+				resolve({ port: boundPort, url: `http://localhost:${boundPort}` });
+			});
+		});
+	}
+
+	async function stop() {
+		ready = false;
+		if (mockConfig) mockConfig.close();
+		journal.close();
+		if (recorder) await recorder.close();
+		if (!server) return;
+
+		return new Promise((resolve, reject) => {
+			server.close(err => (err ? reject(err) : resolve()));
+			// Drop keep-alive and hanging connections so close() can finish
+			server.closeAllConnections();
+			server = undefined;
+		});
+	}
+
+	return { app, journal, registry, store, metrics, recorder, start, stop };
+}
+
+// TRUST_PROXY is a hop count, "true", or a comma-separated list of addresses
+function parseTrustProxy(value) {
+	if (value === undefined) return undefined;
+	if (value === 'true') return true;
+	return /^\d+$/.test(value) ? parseInt(value) : value;
+}
+
+// CLI entry point: configure from the environment and listen
+if (require.main === module) {
+	const logger = createLogger();
+	const mockServer = createMockServer({
+		port: parseInt(process.env.PORT) || 3001,
+		logger,
+		maxDelay: parseInt(process.env.MAX_DELAY_MS) || undefined,
+		journal: {
+			size: parseInt(process.env.JOURNAL_SIZE) || undefined,
+			file: process.env.JOURNAL_FILE,
+			redactHeaders: process.env.JOURNAL_REDACT === 'false' ? false : undefined,
+		},
+		mocksFile: process.env.MOCKS_FILE,
+		adminToken: process.env.ADMIN_TOKEN,
+		defaultMetrics: true,
+		trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+		proxy: process.env.UPSTREAM_URL && {
+			upstream: process.env.UPSTREAM_URL,
+			record: Boolean(process.env.RECORD_FILE),
+			recordFile: process.env.RECORD_FILE,
+			timeout: parseDuration(process.env.UPSTREAM_TIMEOUT) || undefined,
+		},
+		rateLimit:
+			process.env.RATE_LIMIT_MAX === '0'
+				? false
+				: {
+						max: parseInt(process.env.RATE_LIMIT_MAX) || undefined,
+						windowMs: parseDuration(process.env.RATE_LIMIT_WINDOW) || undefined,
+						allowList: (process.env.RATE_LIMIT_ALLOWLIST || '').split(',').filter(Boolean),
+					},
+	});
+
+	mockServer.start().then(({ url }) => {
+		logger.info(`Server running at ${url}`);
+	});
+}
+
+module.exports = { createMockServer, createLogger, HttpError, ValidationError };
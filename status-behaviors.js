@@ -0,0 +1,125 @@
+const { ValidationError } = require('./errors');
+const { checkHeaderValue } = require('./custom-response');
+
+// Default values, each overridable with the query parameter of the same name
+const DEFAULTS = {
+	location: '/200',
+	'retry-after': '60',
+	scheme: 'Basic',
+	realm: 'http-status-mock',
+	allow: 'GET, HEAD',
+};
+
+function option(req, name) {
+	const value = req.query[name];
+	return typeof value === 'string' && value !== '' ? value : DEFAULTS[name];
+}
+
+function retryAfter(req) {
+	const value = option(req, 'retry-after');
+	if (!/^\d+$/.test(value) && isNaN(Date.parse(value))) {
+		throw new ValidationError('Invalid retry-after, expected seconds or an HTTP-date');
+	}
+	return value;
+}
+
+// ?realm= with the characters that can't appear in a quoted-string removed
+function realm(req) {
+	return checkHeaderValue(option(req, 'realm').replace(/["\\\x00-\x1f\x7f]/g, ''), 'realm');
+}
+
+function challenge(req) {
+	if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(option(req, 'scheme'))) {
+		throw new ValidationError('Invalid scheme');
+	}
+	return `${option(req, 'scheme')} realm="${realm(req)}"`;
+}
+
+const redirect = {
+	apply(req, res) {
+		res.location(option(req, 'location'));
+	},
+};
+
+const retryable = {
+	apply(req, res) {
+		res.set('Retry-After', retryAfter(req));
+	},
+};
+
+const noContent = { emptyBody: true };
+
+// Per-status headers and body rules required (or strongly recommended) by
+// RFC 9110 and friends. Codes not listed here get the negotiated body only.
+const STATUS_BEHAVIORS = {
+	100: noContent,
+	101: noContent,
+	102: noContent,
+	103: noContent,
+	201: {
+		apply(req, res) {
+			if (req.query.location) res.location(req.query.location);
+		},
+	},
+	204: noContent,
+	205: {
+		emptyBody: true,
+		apply(req, res) {
+			res.set('Content-Length', '0');
+		},
+	},
+	301: redirect,
+	302: redirect,
+	303: redirect,
+	304: noContent,
+	307: redirect,
+	308: redirect,
+	401: {
+		apply(req, res) {
+			res.set('WWW-Authenticate', challenge(req));
+		},
+	},
+	405: {
+		apply(req, res) {
+			const allow = option(req, 'allow');
+			if (!/^[A-Za-z]+(\s*,\s*[A-Za-z]+)*$/.test(allow)) {
+				throw new ValidationError('Invalid allow, expected a comma-separated list of methods');
+			}
+			res.set('Allow', allow.toUpperCase());
+		},
+	},
+	407: {
+		apply(req, res) {
+			res.set('Proxy-Authenticate', challenge(req));
+		},
+	},
+	413: {
+		apply(req, res) {
+			if (req.query['retry-after']) res.set('Retry-After', retryAfter(req));
+		},
+	},
+	416: {
+		apply(req, res) {
+			res.set('Content-Range', 'bytes */0');
+		},
+	},
+	426: {
+		apply(req, res) {
+			res.set({ Upgrade: 'HTTP/2.0', Connection: 'Upgrade' });
+		},
+	},
+	429: retryable,
+	503: retryable,
+};
+
+// Set the protocol headers for a status code. Returns true when the response
+// must not carry a body.
+function applyStatusBehavior(req, res, statusCode) {
+	const behavior = STATUS_BEHAVIORS[statusCode];
+	if (!behavior) return false;
+
+	if (behavior.apply) behavior.apply(req, res);
+	return Boolean(behavior.emptyBody);
+}
+
+module.exports = { STATUS_BEHAVIORS, realm, applyStatusBehavior };
@@ -0,0 +1,214 @@
+const express = require('express');
+const { getReasonPhrase } = require('http-status-codes');
+const statusDescriptions = require('./status-descriptions');
+const { HttpError, ValidationError } = require('./errors');
+
+// Specification and typical causes of each official code. RFC 9110 sections
+// unless another RFC is named.
+const OFFICIAL = {
+	100: ['RFC 9110, Section 15.2.1', ['Client sent Expect: 100-continue before a large body']],
+	101: ['RFC 9110, Section 15.2.2', ['WebSocket handshake', 'Upgrade to h2c']],
+	102: ['RFC 2518, Section 10.1', ['Long-running WebDAV request still in progress']],
+	103: ['RFC 8297', ['Server hints at resources to preload while preparing the response']],
+	200: ['RFC 9110, Section 15.3.1', ['Request succeeded']],
+	201: ['RFC 9110, Section 15.3.2', ['POST or PUT created a resource']],
+	202: ['RFC 9110, Section 15.3.3', ['Work queued for asynchronous processing']],
+	203: ['RFC 9110, Section 15.3.4', ['Transforming proxy modified the origin response']],
+	204: ['RFC 9110, Section 15.3.5', ['Successful DELETE or PUT with nothing to return']],
+	205: ['RFC 9110, Section 15.3.6', ['Form submitted; client should clear it']],
+	206: ['RFC 9110, Section 15.3.7', ['Range request for part of a file', 'Resumed download']],
+	207: ['RFC 4918, Section 11.1', ['WebDAV batch operation with mixed results']],
+	208: ['RFC 5842, Section 7.1', ['WebDAV binding already listed in this response']],
+	226: ['RFC 3229, Section 10.4.1', ['Delta encoding applied to the response']],
+	300: ['RFC 9110, Section 15.4.1', ['Several representations available, e.g. languages or formats']],
+	301: ['RFC 9110, Section 15.4.2', ['Resource moved for good', 'HTTP to HTTPS redirect']],
+	302: ['RFC 9110, Section 15.4.3', ['Temporary redirect, e.g. to a login page']],
+	303: ['RFC 9110, Section 15.4.4', ['Redirect to a result page after POST']],
+	304: ['RFC 9110, Section 15.4.5', ['If-None-Match or If-Modified-Since matched the cached copy']],
+	305: ['RFC 9110, Section 15.4.6', ['Deprecated; not sent by modern servers']],
+	307: ['RFC 9110, Section 15.4.8', ['Temporary redirect that must keep the method and body']],
+	308: ['RFC 9110, Section 15.4.9', ['Permanent redirect that must keep the method and body']],
+	400: ['RFC 9110, Section 15.5.1', ['Malformed syntax', 'Invalid JSON body', 'Missing required parameter']],
+	401: ['RFC 9110, Section 15.5.2', ['Missing or expired credentials', 'Invalid token']],
+	402: ['RFC 9110, Section 15.5.3', ['Billing or quota exhausted (non-standard use)']],
+	403: ['RFC 9110, Section 15.5.4', ['Authenticated but not permitted', 'IP or geo block']],
+	404: ['RFC 9110, Section 15.5.5', ['Wrong URL', 'Deleted resource', 'Hiding a forbidden resource']],
+	405: ['RFC 9110, Section 15.5.6', ['Method not supported on this route, e.g. DELETE on a collection']],
+	406: ['RFC 9110, Section 15.5.7', ['No representation matches the Accept headers']],
+	407: ['RFC 9110, Section 15.5.8', ['Proxy requires credentials']],
+	408: ['RFC 9110, Section 15.5.9', ['Client too slow to send the request', 'Idle keep-alive connection closed']],
+	409: ['RFC 9110, Section 15.5.10', ['Edit conflict', 'Duplicate unique key', 'Version mismatch']],
+	410: ['RFC 9110, Section 15.5.11', ['Resource intentionally removed', 'Retired API version']],
+	411: ['RFC 9110, Section 15.5.12', ['Body sent without Content-Length']],
+	412: ['RFC 9110, Section 15.5.13', ['If-Match ETag no longer current']],
+	413: ['RFC 9110, Section 15.5.14', ['Upload exceeds the size limit']],
+	414: ['RFC 9110, Section 15.5.15', ['Query string too long', 'Redirect loop growing the URL']],
+	415: ['RFC 9110, Section 15.5.16', ['Wrong Content-Type', 'Unsupported Content-Encoding']],
+	416: ['RFC 9110, Section 15.5.17', ['Range beyond the end of the file']],
+	417: ['RFC 9110, Section 15.5.18', ['Expect header the server cannot satisfy']],
+	418: ['RFC 2324, Section 2.3.2', ['April Fools joke', 'Deliberately refused request']],
+	421: ['RFC 9110, Section 15.5.20', ['Reused HTTP/2 connection for a host the server does not serve']],
+	422: ['RFC 9110, Section 15.5.21', ['Validation failed on well-formed input']],
+	423: ['RFC 4918, Section 11.3', ['WebDAV resource locked']],
+	424: ['RFC 4918, Section 11.4', ['Earlier operation in a WebDAV batch failed']],
+	425: ['RFC 8470, Section 5.2', ['TLS 1.3 early data that could be replayed']],
+	426: ['RFC 9110, Section 15.5.22', ['Server requires TLS or a newer protocol']],
+	428: ['RFC 6585, Section 3', ['Update sent without If-Match to prevent lost updates']],
+	429: ['RFC 6585, Section 4', ['Rate limit exceeded', 'Quota exhausted']],
+	431: ['RFC 6585, Section 5', ['Oversized cookies', 'Too many headers']],
+	451: ['RFC 7725, Section 3', ['Court order', 'Government censorship', 'Geo-restricted content']],
+	500: ['RFC 9110, Section 15.6.1', ['Unhandled exception', 'Bug in server code']],
+	501: ['RFC 9110, Section 15.6.2', ['Method not implemented by the server']],
+	502: ['RFC 9110, Section 15.6.3', ['Upstream crashed or returned garbage', 'Proxy misconfiguration']],
+	503: ['RFC 9110, Section 15.6.4', ['Overload', 'Maintenance window', 'Dependency down']],
+	504: ['RFC 9110, Section 15.6.5', ['Upstream too slow', 'Network partition between proxy and origin']],
+	505: ['RFC 9110, Section 15.6.6', ['Client used an HTTP version the server rejects']],
+	506: ['RFC 2295, Section 8.1', ['Misconfigured transparent content negotiation']],
+	507: ['RFC 4918, Section 11.5', ['Disk or quota full']],
+	508: ['RFC 5842, Section 7.2', ['WebDAV binding loop']],
+	510: ['RFC 2774, Section 7', ['Required HTTP extension missing']],
+	511: ['RFC 6585, Section 6', ['Captive portal, e.g. hotel or airport Wi-Fi']],
+};
+
+// Reason phrases missing from http-status-codes
+const REASONS = {
+	208: 'Already Reported',
+	226: 'IM Used',
+	425: 'Too Early',
+	506: 'Variant Also Negotiates',
+	508: 'Loop Detected',
+	510: 'Not Extended',
+};
+
+// Widely seen codes that no RFC defines
+const VENDOR = {
+	419: ['Page Expired', 'Laravel', 'The CSRF token is missing or expired.', ['Session expired before form submission']],
+	420: ['Enhance Your Calm', 'Twitter', 'The client is being rate limited (legacy Twitter API).', ['Legacy Twitter API rate limit']],
+	440: ['Login Time-out', 'Microsoft IIS', 'The client session has expired and must log in again.', ['Expired IIS session']],
+	444: ['No Response', 'nginx', 'nginx closed the connection without sending a response.', ['nginx "return 444" to drop malicious requests']],
+	449: ['Retry With', 'Microsoft IIS', 'The request should be retried after performing the appropriate action.', ['Missing information required by IIS']],
+	450: ['Blocked by Windows Parental Controls', 'Microsoft', 'Windows Parental Controls blocked access to the page.', ['Parental controls']],
+	494: ['Request Header Too Large', 'nginx', 'nginx rejected request headers larger than its buffers.', ['Oversized cookies', 'large_client_header_buffers too small']],
+	495: ['SSL Certificate Error', 'nginx', 'The client presented an invalid certificate.', ['Invalid client certificate']],
+	496: ['SSL Certificate Required', 'nginx', 'A client certificate was required but not provided.', ['Missing client certificate']],
+	497: ['HTTP Request Sent to HTTPS Port', 'nginx', 'A plain HTTP request was sent to a port expecting HTTPS.', ['http:// URL for an HTTPS-only port']],
+	499: ['Client Closed Request', 'nginx', 'The client closed the connection before nginx sent a response.', ['Client timeout shorter than the upstream response time', 'User cancelled the request']],
+	509: ['Bandwidth Limit Exceeded', 'Apache / cPanel', 'The site exceeded its hosting bandwidth allowance.', ['Hosting bandwidth quota exhausted']],
+	520: ['Web Server Returned an Unknown Error', 'Cloudflare', 'The origin returned an empty, unknown or unexpected response to Cloudflare.', ['Origin crashed', 'Response headers too large']],
+	521: ['Web Server Is Down', 'Cloudflare', 'The origin refused the connection from Cloudflare.', ['Origin offline', 'Firewall blocking Cloudflare IPs']],
+	522: ['Connection Timed Out', 'Cloudflare', 'Cloudflare could not complete a TCP handshake with the origin.', ['Origin overloaded', 'Network routing problem']],
+	523: ['Origin Is Unreachable', 'Cloudflare', 'Cloudflare could not reach the origin.', ['Incorrect DNS records', 'Routing problem']],
+	524: ['A Timeout Occurred', 'Cloudflare', 'Cloudflare connected to the origin but it did not respond in time.', ['Long-running request on the origin']],
+	525: ['SSL Handshake Failed', 'Cloudflare', 'The TLS handshake between Cloudflare and the origin failed.', ['Origin TLS misconfiguration', 'No shared cipher suites']],
+	526: ['Invalid SSL Certificate', 'Cloudflare', 'Cloudflare could not validate the origin certificate.', ['Expired or self-signed origin certificate']],
+	527: ['Railgun Error', 'Cloudflare', 'The connection between Cloudflare and the origin Railgun server was interrupted.', ['Railgun listener unreachable']],
+	530: ['Site Frozen', 'Cloudflare / Pantheon', 'The site is unavailable (frozen, or a Cloudflare 1xxx error).', ['Inactive hosting plan', 'Cloudflare 1xxx error']],
+	598: ['Network Read Timeout Error', 'Proxies', 'A proxy timed out reading from the upstream (informal convention).', ['Upstream read timeout']],
+	599: ['Network Connect Timeout Error', 'Proxies', 'A proxy timed out connecting to the upstream (informal convention).', ['Upstream connect timeout']],
+};
+
+// Heuristically cacheable by default (RFC 9110, Section 15.1)
+const CACHEABLE = [200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 451, 501];
+
+// Usually safe for a client to retry, possibly after waiting
+const RETRYABLE = [408, 425, 429, 499, 500, 502, 503, 504, 520, 521, 522, 523, 524, 527, 598, 599];
+
+function statusClass(code) {
+	return `${Math.floor(code / 100)}xx`;
+}
+
+function entry(code, { reason, description, rfc, official, vendor, causes }) {
+	return {
+		code,
+		reason,
+		class: statusClass(code),
+		description,
+		rfc,
+		official,
+		vendor,
+		cacheable: CACHEABLE.includes(code),
+		retryable: RETRYABLE.includes(code),
+		causes,
+	};
+}
+
+// Every cataloged code, ordered by code
+const CATALOG = [
+	...Object.entries(OFFICIAL).map(([code, [rfc, causes]]) =>
+		entry(Number(code), {
+			reason: REASONS[code] || getReasonPhrase(Number(code)),
+			description: statusDescriptions[code],
+			rfc,
+			official: true,
+			vendor: null,
+			causes,
+		})
+	),
+	...Object.entries(VENDOR).map(([code, [reason, vendor, description, causes]]) =>
+		entry(Number(code), { reason, description, rfc: null, official: false, vendor, causes })
+	),
+].sort((a, b) => a.code - b.code);
+
+const BY_CODE = new Map(CATALOG.map(item => [item.code, item]));
+
+function getStatus(code) {
+	return BY_CODE.get(code);
+}
+
+// Filter the catalog: class ("4xx"), q (free text), official, retryable, cacheable
+function searchCatalog({ class: codeClass, q, official, retryable, cacheable } = {}) {
+	const needle = q && q.toLowerCase();
+
+	return CATALOG.filter(
+		item =>
+			(codeClass === undefined || item.class === codeClass) &&
+			(official === undefined || item.official === official) &&
+			(retryable === undefined || item.retryable === retryable) &&
+			(cacheable === undefined || item.cacheable === cacheable) &&
+			(!needle ||
+				[String(item.code), item.reason, item.description, item.vendor || '', ...item.causes].some(text =>
+					text.toLowerCase().includes(needle)
+				))
+	);
+}
+
+function parseBoolean(value, name) {
+	if (value === undefined) return undefined;
+	if (value !== 'true' && value !== 'false') {
+		throw new ValidationError(`Invalid ${name}, expected true or false`);
+	}
+	return value === 'true';
+}
+
+// GET /api/codes (filterable like searchCatalog) and GET /api/codes/:code
+function createCatalogRouter() {
+	const router = express.Router();
+
+	router.get('/api/codes', (req, res) => {
+		const { class: codeClass, q } = req.query;
+		if (codeClass !== undefined && !/^[1-5]xx$/.test(codeClass)) {
+			throw new ValidationError('Invalid class, expected 1xx-5xx');
+		}
+
+		const codes = searchCatalog({
+			class: codeClass,
+			q: typeof q === 'string' ? q : undefined,
+			official: parseBoolean(req.query.official, 'official'),
+			retryable: parseBoolean(req.query.retryable, 'retryable'),
+			cacheable: parseBoolean(req.query.cacheable, 'cacheable'),
+		});
+		res.json({ total: codes.length, codes });
+	});
+
+	router.get('/api/codes/:code', (req, res) => {
+		const status = getStatus(Number(req.params.code));
+		if (!status) {
+			throw new HttpError(404, `Status code not in catalog: ${req.params.code}`);
+		}
+		res.json(status);
+	});
+
+	return router;
+}
+
+module.exports = { CATALOG, statusClass, getStatus, searchCatalog, createCatalogRouter };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ValidationError } = require('./errors');
+const { isValidStatusCode } = require('./responses');
+const { parseDuration } = require('./delay');
+
+const TYPES = ['chunked', 'sse'];
+
+// Faults that can be injected into a stream, one at a time:
+//   cutoff    drop the connection part-way through chunk `after`
+//   truncate  announce a Content-Length, send only half of it, then close
+//   reset     send the headers, then reset the connection
+//   gzip      claim Content-Encoding: gzip but send a corrupt body
+const FAULTS = ['cutoff', 'truncate', 'reset', 'gzip'];
+
+const MAX_CHUNKS = 1000;
+
+// gzip magic number and header followed by bytes that don't inflate
+const GZIP_HEADER = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x03]);
+
+function renderChunk(type, index, total) {
+	if (type === 'sse') {
+		return `id: ${index + 1}\nevent: message\ndata: ${JSON.stringify({ chunk: index + 1, of: total })}\n\n`;
+	}
+	return `chunk ${index + 1}/${total}\n`;
+}
+
+function integerOption(value, fallback, name) {
+	if (value === undefined) return fallback;
+	const number = parseInt(value);
+	if (isNaN(number) || number < 0) {
+		throw new ValidationError(`Invalid ${name}, expected a non-negative integer`);
+	}
+	return number;
+}
+
+function parseStreamOptions(req, maxDelay) {
+	const statusCode = parseInt(req.params.statusCode);
+	if (!isValidStatusCode(statusCode)) {
+		throw new ValidationError('Invalid status code');
+	}
+	if (statusCode < 200 || statusCode === 204 || statusCode === 304) {
+		throw new ValidationError(`A ${statusCode} response cannot carry a body to stream`);
+	}
+
+	const type = req.query.type || 'chunked';
+	if (!TYPES.includes(type)) {
+		throw new ValidationError(`Invalid type, expected one of: ${TYPES.join(', ')}`);
+	}
+
+	const fault = req.query.fault;
+	if (fault !== undefined && !FAULTS.includes(fault)) {
+		throw new ValidationError(`Invalid fault, expected one of: ${FAULTS.join(', ')}`);
+	}
+
+	const chunks = integerOption(req.query.chunks, 5, 'chunks');
+	if (chunks < 1 || chunks > MAX_CHUNKS) {
+		throw new ValidationError(`Invalid chunks, expected 1-${MAX_CHUNKS}`);
+	}
+
+	const interval = req.query.interval === undefined ? 1000 : parseDuration(req.query.interval);
+	if (isNaN(interval)) {
+		throw new ValidationError('Invalid interval, expected a duration such as 500ms');
+	}
+
+	const after = integerOption(req.query.after, Math.floor(chunks / 2), 'after');
+	if (after >= chunks) {
+		throw new ValidationError('Invalid after, expected fewer than chunks');
+	}
+
+	// Only paced streams take time; the other faults respond at once
+	const paced = fault === undefined ? chunks - 1 : fault === 'cutoff' ? after : 0;
+	if (interval * paced > maxDelay) {
+		throw new ValidationError(`Stream would take longer than the server maximum of ${maxDelay}ms`);
+	}
+
+	return { statusCode, type, fault, chunks, interval, after };
+}
+
+function resetConnection(socket) {
+	// resetAndDestroy sends a TCP RST where supported (Node 16.17+)
+	if (typeof socket.resetAndDestroy === 'function') {
+		socket.resetAndDestroy();
+	} else {
+		socket.destroy();
+	}
+}
+
+// Routes for /stream/:statusCode: slow-drip chunked bodies and Server-Sent
+// Events over a real socket, with optional faults (see FAULTS).
+// `middleware` runs before the stream starts (e.g. the delay middleware).
+function createStreamRouter({ maxDelay, middleware = [] }) {
+	const router = express.Router();
+
+	function validate(req, res, next) {
+		try {
+			res.locals.stream = parseStreamOptions(req, maxDelay);
+			next();
+		} catch (err) {
+			next(err);
+		}
+	}
+
+	function stream(req, res) {
+		const { statusCode, type, fault, chunks, interval, after } = res.locals.stream;
+		const contentType = type === 'sse' ? 'text/event-stream' : 'text/plain; charset=utf-8';
+		const headers = { 'Content-Type': contentType, 'Cache-Control': 'no-cache' };
+
+		if (fault === 'reset') {
+			res.writeHead(statusCode, headers);
+			res.flushHeaders();
+			return setImmediate(() => resetConnection(req.socket));
+		}
+
+		if (fault === 'gzip') {
+			const body = Buffer.concat([GZIP_HEADER, crypto.randomBytes(64)]);
+			res.writeHead(statusCode, { ...headers, 'Content-Encoding': 'gzip', 'Content-Length': body.length });
+			return res.end(body);
+		}
+
+		if (fault === 'truncate') {
+			const body = Buffer.from(Array.from({ length: chunks }, (_, index) => renderChunk(type, index, chunks)).join(''));
+			res.writeHead(statusCode, { ...headers, 'Content-Length': body.length });
+			return res.write(body.subarray(0, Math.floor(body.length / 2)), () => req.socket.end());
+		}
+
+		// No Content-Length, so node sends the body with chunked transfer encoding
+		res.writeHead(statusCode, headers);
+		res.flushHeaders();
+
+		let sent = 0;
+		let timer;
+
+		const tick = () => {
+			const chunk = renderChunk(type, sent, chunks);
+
+			if (fault === 'cutoff' && sent === after) {
+				return res.write(chunk.slice(0, Math.ceil(chunk.length / 2)), () => req.socket.destroy());
+			}
+
+			res.write(chunk);
+			sent++;
+
+			if (sent === chunks) return res.end();
+			timer = setTimeout(tick, interval);
+		};
+
+		// Stop dripping if the client goes away
+		res.on('close', () => clearTimeout(timer));
+		tick();
+	}
+
+	router.all('/stream/:statusCode', validate, ...middleware, stream);
+
+	return router;
+}
+
+module.exports = { FAULTS, createStreamRouter };
@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDuration, resolveDelay } = require('../delay');
+const { ValidationError } = require('../errors');
+
+describe('parseDuration', () => {
+	it('parses milliseconds, seconds and minutes', () => {
+		assert.equal(parseDuration('500'), 500);
+		assert.equal(parseDuration('250ms'), 250);
+		assert.equal(parseDuration('1.5s'), 1500);
+		assert.equal(parseDuration('1m'), 60000);
+		assert.ok(isNaN(parseDuration('soon')));
+	});
+});
+
+describe('resolveDelay', () => {
+	const maxDelay = 10000;
+
+	it('resolves fixed, range and jittered delays', () => {
+		assert.deepEqual(resolveDelay('2s', { maxDelay }), { ms: 2000, hang: false });
+		assert.deepEqual(resolveDelay('100-500', { maxDelay, random: () => 0.5 }), { ms: 300, hang: false });
+		assert.deepEqual(resolveDelay('1s~200ms', { maxDelay, random: () => 0 }), { ms: 800, hang: false });
+	});
+
+	it('resolves hang mode, bounded by the maximum', () => {
+		assert.deepEqual(resolveDelay('hang', { maxDelay }), { ms: maxDelay, hang: true });
+		assert.deepEqual(resolveDelay('hang:5s', { maxDelay }), { ms: 5000, hang: true });
+	});
+
+	it('rejects invalid and excessive delays', () => {
+		assert.throws(() => resolveDelay('soon', { maxDelay }), ValidationError);
+		assert.throws(() => resolveDelay('500-100', { maxDelay }), ValidationError);
+		assert.throws(() => resolveDelay('11s', { maxDelay }), ValidationError);
+	});
+});
@@ -0,0 +1,22 @@
+const pino = require('pino');
+const { createMockServer } = require('../server');
+
+// Start a quiet mock server on an ephemeral port. Returns the server plus a
+// `request(path, init)` shortcut for fetch against it.
+async function startServer(options = {}) {
+	const server = createMockServer({
+		port: 0,
+		logger: pino({ level: 'silent' }),
+		rateLimit: false,
+		...options,
+	});
+	const { url } = await server.start();
+
+	return {
+		...server,
+		url,
+		request: (path, init) => fetch(`${url}${path}`, init),
+	};
+}
+
+module.exports = { startServer };
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const { RequestJournal } = require('../journal');
+
+describe('RequestJournal', () => {
+	it('stops mirroring, but keeps recording, when the file cannot be written', async () => {
+		const errors = [];
+		const logger = { error: (details, message) => errors.push(message) };
+		const journal = new RequestJournal({ file: path.join(os.tmpdir(), 'missing-dir', 'journal.jsonl'), logger });
+		const stream = journal.stream;
+
+		journal.record({ method: 'GET', path: '/200', status: 200 });
+		await new Promise(resolve => stream.on('close', resolve));
+
+		assert.equal(journal.stream, null);
+		assert.equal(errors.length, 1);
+		journal.record({ method: 'GET', path: '/404', status: 404 });
+		assert.equal(journal.list().length, 2);
+	});
+
+	it('redacts credential headers unless told not to', () => {
+		const headers = { authorization: 'Basic YWRhOnNlY3JldA==', cookie: 'session=1', accept: '*/*' };
+
+		const redacted = new RequestJournal().record({ headers });
+		assert.deepEqual(redacted.headers, { authorization: '[redacted]', cookie: '[redacted]', accept: '*/*' });
+
+		const kept = new RequestJournal({ redactHeaders: false }).record({ headers });
+		assert.deepEqual(kept.headers, headers);
+	});
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const { startServer } = require('./helpers');
+
+const INITIAL = `
+mocks:
+  - id: greeting
+    match: { method: GET, path: /greeting/:name }
+    response:
+      status: 201
+      headers: { X-Greeting: yes }
+      body: { hello: "{{params.name}}" }
+`;
+
+// Rewrite the file with a newer mtime so fs.watchFile sees the change
+function rewrite(file, content, step) {
+	fs.writeFileSync(file, content);
+	const time = new Date(Date.now() + step * 1000);
+	fs.utimesSync(file, time, time);
+}
+
+// Poll until `check` passes; the file is watched every 500ms
+async function eventually(check, timeout = 3000) {
+	const deadline = Date.now() + timeout;
+	for (;;) {
+		try {
+			return await check();
+		} catch (err) {
+			if (Date.now() > deadline) throw err;
+			await sleep(100);
+		}
+	}
+}
+
+describe('mock configuration file', () => {
+	let dir;
+	let file;
+	let server;
+
+	before(async () => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'http-mock-'));
+		file = path.join(dir, 'mocks.yaml');
+		fs.writeFileSync(file, INITIAL);
+		server = await startServer({ mocksFile: file });
+	});
+
+	after(async () => {
+		await server.stop();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	it('serves rules loaded from YAML', async () => {
+		const response = await server.request('/greeting/ada');
+
+		assert.equal(response.status, 201);
+		assert.equal(response.headers.get('x-greeting'), 'yes');
+		assert.equal(response.headers.get('x-mock-rule'), 'greeting');
+		assert.deepEqual(await response.json(), { hello: 'ada' });
+	});
+
+	it('reloads the rules when the file changes', async () => {
+		rewrite(file, INITIAL.replace('status: 201', 'status: 202'), 1);
+
+		await eventually(async () => assert.equal((await server.request('/greeting/ada')).status, 202));
+	});
+
+	it('keeps the previous rules when a reload fails', async () => {
+		rewrite(file, 'mocks:\n  - match: { path: no-leading-slash }\n', 2);
+		await sleep(1200);
+
+		assert.equal((await server.request('/greeting/ada')).status, 202);
+	});
+});
@@ -0,0 +1,155 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { startServer } = require('./helpers');
+
+// Stand-in for a real service: echoes what it received as JSON
+function startUpstream() {
+	const server = http.createServer((req, res) => {
+		let body = '';
+		req.on('data', chunk => (body += chunk));
+		req.on('end', () => {
+			const status = req.url.startsWith('/missing') ? 404 : 200;
+			res.writeHead(status, { 'Content-Type': 'application/json', 'X-Upstream': 'yes' });
+			res.end(JSON.stringify({ method: req.method, url: req.url, body, forwardedHost: req.headers['x-forwarded-host'] }));
+		});
+	});
+
+	return new Promise(resolve => {
+		server.listen(0, () => resolve({ server, url: `http://localhost:${server.address().port}` }));
+	});
+}
+
+describe('proxy mode', () => {
+	let upstream;
+	let server;
+	let recordFile;
+
+	before(async () => {
+		upstream = await startUpstream();
+		recordFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'http-mock-')), 'recordings.json');
+		server = await startServer({ proxy: { upstream: upstream.url, record: true, recordFile } });
+	});
+
+	after(async () => {
+		await server.stop();
+		await new Promise(resolve => upstream.server.close(resolve));
+		fs.rmSync(path.dirname(recordFile), { recursive: true, force: true });
+	});
+
+	it('relays requests and responses', async () => {
+		const response = await server.request('/api/users?page=2', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: '{"name":"ada"}',
+		});
+		const body = await response.json();
+
+		assert.equal(response.status, 200);
+		assert.equal(response.headers.get('x-upstream'), 'yes');
+		assert.equal(response.headers.get('x-mock-proxy'), upstream.url);
+		assert.deepEqual(body, {
+			method: 'POST',
+			url: '/api/users?page=2',
+			body: '{"name":"ada"}',
+			forwardedHost: new URL(server.url).host,
+		});
+
+		assert.equal((await server.request('/missing')).status, 404);
+	});
+
+	it('lets mock rules inject faults in front of the upstream', async () => {
+		const mock = { match: { path: '/api/payments' }, response: { status: 502 } };
+		await server.request('/__admin/mocks', {
+			method: 'POST',
+			headers: { 'Content-Type': 'application/json' },
+			body: JSON.stringify(mock),
+		});
+
+		assert.equal((await server.request('/api/payments')).status, 502);
+		assert.equal((await server.request('/api/orders')).status, 200);
+
+		await server.request('/__admin/mocks', { method: 'DELETE' });
+	});
+
+	it('records responses as mock rules that replay offline', async () => {
+		await server.request('/api/orders/7');
+		const { mocks } = await (await server.request('/__admin/recordings')).json();
+		const recorded = mocks.find(rule => rule.id === 'GET /api/orders/7');
+
+		assert.equal(recorded.response.status, 200);
+		assert.equal(recorded.response.body.url, '/api/orders/7');
+
+		// Replay from the recording file with no upstream at all
+		await server.recorder.close();
+		const replay = await startServer({ mocksFile: recordFile });
+		try {
+			const response = await replay.request('/api/orders/7');
+			assert.equal(response.status, 200);
+			assert.equal(response.headers.get('x-mock-rule'), 'GET /api/orders/7');
+			assert.equal((await response.json()).url, '/api/orders/7');
+		} finally {
+			await replay.stop();
+		}
+	});
+
+	it('replays recordings of the same path by their exact query', async () => {
+		await server.request('/items');
+		await server.request('/items?page=2');
+
+		await server.recorder.close();
+		const replay = await startServer({ mocksFile: recordFile });
+		try {
+			assert.equal((await (await replay.request('/items')).json()).url, '/items');
+			assert.equal((await (await replay.request('/items?page=2')).json()).url, '/items?page=2');
+			assert.equal((await replay.request('/items?page=3')).headers.get('x-mock-rule'), null);
+		} finally {
+			await replay.stop();
+		}
+	});
+
+	it('keeps protocol-relative paths on the upstream', async () => {
+		const other = await startUpstream();
+		try {
+			const response = await server.request(`//${new URL(other.url).host}/secret`);
+			const body = await response.json();
+
+			assert.equal(response.headers.get('x-mock-proxy'), upstream.url);
+			assert.equal(body.url, `//${new URL(other.url).host}/secret`);
+		} finally {
+			await new Promise(resolve => other.server.close(resolve));
+		}
+	});
+
+	it('forwards only the path of absolute-form requests', async () => {
+		const { port } = new URL(server.url);
+		const raw = await new Promise((resolve, reject) => {
+			const socket = net.connect(port, '127.0.0.1', () => {
+				socket.write('GET http://evil.example/x?y=1 HTTP/1.1\r\nHost: evil.example\r\nConnection: close\r\n\r\n');
+			});
+			let data = '';
+			socket.on('data', chunk => (data += chunk));
+			socket.on('end', () => resolve(data));
+			socket.on('error', reject);
+		});
+
+		assert.match(raw, /^HTTP\/1\.1 200 /);
+		assert.match(raw, /"url":"\/x\?y=1"/);
+		assert.equal((await server.request('/healthz')).status, 200);
+	});
+
+	it('answers 502 when the upstream is unreachable', async () => {
+		const unreachable = await startServer({ proxy: { upstream: 'http://127.0.0.1:9' } });
+		try {
+			const response = await unreachable.request('/anything', { headers: { Accept: 'application/json' } });
+			assert.equal(response.status, 502);
+			assert.match((await response.json()).message, /Upstream request failed/);
+		} finally {
+			await unreachable.stop();
+		}
+	});
+});
@@ -0,0 +1,18 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryStore } = require('../sequences');
+
+describe('MemoryStore', () => {
+	it('drops the least recently used counter once full', async () => {
+		const store = new MemoryStore({ maxKeys: 2 });
+
+		await store.increment('a');
+		await store.increment('b');
+		await store.increment('a');
+		await store.increment('c');
+
+		assert.deepEqual((await store.keys()).sort(), ['a', 'c']);
+		assert.equal(await store.get('a'), 2);
+		assert.equal(await store.get('b'), 0);
+	});
+});
@@ -0,0 +1,585 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createMockServer, HttpError, ValidationError } = require('../server');
+const { startServer } = require('./helpers');
+
+describe('createMockServer', () => {
+	it('starts on an ephemeral port and stops cleanly', async () => {
+		const server = createMockServer({ port: 0, logger: require('pino')({ level: 'silent' }) });
+		const { port, url } = await server.start();
+
+		assert.ok(port > 0);
+		assert.equal((await fetch(`${url}/200`)).status, 200);
+
+		await server.stop();
+		await assert.rejects(fetch(`${url}/200`));
+	});
+
+	it('runs several instances side by side', async () => {
+		const [a, b] = await Promise.all([startServer(), startServer()]);
+		try {
+			assert.notEqual(a.url, b.url);
+			assert.equal((await a.request('/201')).status, 201);
+			assert.equal((await b.request('/202')).status, 202);
+		} finally {
+			await Promise.all([a.stop(), b.stop()]);
+		}
+	});
+
+	it('applies the rate limiter unless disabled', async () => {
+		const server = await startServer({ rateLimit: { max: 1 } });
+		try {
+			assert.equal((await server.request('/200')).status, 200);
+
+			const res = await server.request('/200', { headers: { Accept: 'application/json' } });
+			assert.equal(res.status, 429);
+			assert.equal(res.headers.get('ratelimit-limit'), '1');
+			assert.ok(res.headers.get('retry-after'));
+			assert.equal((await res.json()).code, 429);
+
+			// Admin routes are exempt
+			assert.equal((await server.request('/__admin/requests')).status, 200);
+		} finally {
+			await server.stop();
+		}
+	});
+
+	it('skips clients on the allow-list', async () => {
+		const server = await startServer({ rateLimit: { max: 1, allowList: ['127.0.0.1', '::1', '::ffff:127.0.0.1'] } });
+		try {
+			assert.equal((await server.request('/200')).status, 200);
+			assert.equal((await server.request('/200')).status, 200);
+		} finally {
+			await server.stop();
+		}
+	});
+});
+
+describe('routes', () => {
+	let server;
+
+	before(async () => {
+		server = await startServer();
+	});
+
+	after(() => server.stop());
+
+	describe('GET /:statusCode', () => {
+		it('responds with the requested status and an HTML page by default', async () => {
+			const res = await server.request('/418');
+
+			assert.equal(res.status, 418);
+			assert.match(res.headers.get('content-type'), /text\/html/);
+			assert.match(await res.text(), /<h1 class="status-code">418<\/h1>/);
+		});
+
+		it('negotiates JSON from the Accept header', async () => {
+			const res = await server.request('/503', { headers: { Accept: 'application/json' } });
+
+			assert.equal(res.status, 503);
+			assert.match(res.headers.get('vary'), /Accept/);
+			const body = await res.json();
+			assert.equal(body.code, 503);
+			assert.equal(body.reason, 'Service Unavailable');
+			assert.match(body.description, /currently unable/);
+		});
+
+		it('honours ?format= over the Accept header', async () => {
+			const res = await server.request('/404?format=problem', { headers: { Accept: 'application/json' } });
+
+			assert.match(res.headers.get('content-type'), /application\/problem\+json/);
+			assert.deepEqual(await res.json(), {
+				type: 'about:blank',
+				title: 'Not Found',
+				status: 404,
+				detail: 'The 404 (Not Found) status code indicates that the origin server did not find a current representation for the target resource or is not willing to disclose that one exists.',
+				instance: '/404?format=problem',
+			});
+		});
+
+		it('renders plain text and XML', async () => {
+			const text = await (await server.request('/200?format=text')).text();
+			assert.match(text, /^200 OK\n/);
+
+			const res = await server.request('/500', { headers: { Accept: 'text/xml' } });
+			assert.match(res.headers.get('content-type'), /application\/xml/);
+			assert.match(await res.text(), /<status><code>500<\/code><reason>Internal Server Error<\/reason>/);
+		});
+
+		it('renders codes without a reason phrase', async () => {
+			const body = await (await server.request('/299?format=json')).json();
+			assert.deepEqual(body, { code: 299, reason: 'Unknown Status', description: 'No additional description available.' });
+		});
+	});
+
+	describe('other methods', () => {
+		for (const method of ['POST', 'PUT', 'PATCH', 'DELETE']) {
+			it(`returns the requested status for ${method}`, async () => {
+				assert.equal((await server.request('/503', { method })).status, 503);
+			});
+		}
+
+		it('sends headers only for HEAD', async () => {
+			const res = await server.request('/503', { method: 'HEAD' });
+			assert.equal(res.status, 503);
+			assert.equal(await res.text(), '');
+		});
+
+		it('lists the allowed methods for OPTIONS', async () => {
+			const res = await server.request('/200', { method: 'OPTIONS' });
+			assert.equal(res.headers.get('allow'), 'GET, HEAD, POST, PUT, PATCH, DELETE, OPTIONS');
+		});
+
+		it('echoes the request when asked', async () => {
+			const res = await server.request('/422?format=json&echo', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json', 'X-Trace': 'abc' },
+				body: JSON.stringify({ id: 1 }),
+			});
+			const { request } = await res.json();
+
+			assert.equal(request.method, 'POST');
+			assert.deepEqual(request.body, { id: 1 });
+			assert.equal(request.headers['x-trace'], 'abc');
+		});
+	});
+
+	describe('latency', () => {
+		it('delays the response by ?delay=', async () => {
+			const start = Date.now();
+			const res = await server.request('/200?delay=100ms');
+
+			assert.equal(res.status, 200);
+			assert.ok(Date.now() - start >= 95);
+		});
+
+		it('reads the delay from X-Mock-Delay', async () => {
+			const start = Date.now();
+			const res = await server.request('/204', { headers: { 'X-Mock-Delay': '100' } });
+
+			assert.equal(res.status, 204);
+			assert.ok(Date.now() - start >= 95);
+		});
+
+		it('drops the connection after hang:50ms', async () => {
+			const start = Date.now();
+
+			await assert.rejects(server.request('/200?delay=hang:50ms'));
+			assert.ok(Date.now() - start >= 45);
+		});
+
+		it('rejects delays above the server maximum', async () => {
+			const res = await server.request('/200?delay=31s', { headers: { Accept: 'application/json' } });
+
+			assert.equal(res.status, 400);
+			assert.match((await res.json()).message, /server maximum of 30000ms/);
+		});
+	});
+
+	describe('protocol semantics', () => {
+		it('sends Location for redirects', async () => {
+			const res = await server.request('/307?location=/elsewhere', { redirect: 'manual' });
+			assert.equal(res.headers.get('location'), '/elsewhere');
+		});
+
+		it('sends WWW-Authenticate for 401 and Retry-After for 503', async () => {
+			assert.equal((await server.request('/401')).headers.get('www-authenticate'), 'Basic realm="http-status-mock"');
+			assert.equal((await server.request('/503?retry-after=5')).headers.get('retry-after'), '5');
+		});
+
+		it('rejects realms outside Latin-1', async () => {
+			assert.equal((await server.request('/401?realm=%E2%82%AC')).status, 400);
+		});
+
+		it('sends no body for 204', async () => {
+			const res = await server.request('/204');
+			assert.equal(res.headers.get('content-type'), null);
+			assert.equal(await res.text(), '');
+		});
+	});
+
+	describe('custom responses', () => {
+		it('sends a literal body with custom headers', async () => {
+			const res = await server.request('/422', {
+				headers: {
+					'X-Mock-Body': '{"errors":[]}',
+					'X-Mock-Content-Type': 'application/json',
+					'X-Mock-Header': 'X-Request-Id: abc',
+				},
+			});
+
+			assert.equal(res.status, 422);
+			assert.equal(res.headers.get('x-request-id'), 'abc');
+			assert.deepEqual(await res.json(), { errors: [] });
+		});
+
+		it('strips control characters from header values', async () => {
+			const res = await server.request('/200?header=X-Test:%20a%0d%0aInjected:%201');
+			assert.equal(res.headers.get('x-test'), 'aInjected: 1');
+			assert.equal(res.headers.get('injected'), null);
+		});
+
+		it('rejects header and cookie values outside Latin-1', async () => {
+			assert.equal((await server.request('/200?header=X-A:%E2%82%AC')).status, 400);
+			assert.equal((await server.request('/200?cookie=a%3D%E2%82%AC')).status, 400);
+			assert.equal((await server.request('/200?header=X-A:caf%C3%A9')).headers.get('x-a'), 'café');
+		});
+
+		it('rejects content types that are not type/subtype', async () => {
+			assert.equal((await server.request('/200?body=x&content-type=foo')).status, 400);
+
+			const res = await server.request('/200?body=x&content-type=text/csv');
+			assert.equal(res.headers.get('content-type'), 'text/csv; charset=utf-8');
+		});
+	});
+
+	describe('errors', () => {
+		it('rejects invalid status codes with a ValidationError', async () => {
+			const res = await server.request('/abc', { headers: { Accept: 'application/json' } });
+
+			assert.equal(res.status, 400);
+			assert.deepEqual(await res.json(), { code: 400, reason: 'Bad Request', message: 'Invalid status code' });
+		});
+
+		it('rejects out of range status codes', async () => {
+			assert.equal((await server.request('/600')).status, 400);
+			assert.equal((await server.request('/99')).status, 400);
+		});
+
+		it('rejects unknown formats', async () => {
+			const res = await server.request('/200?format=yaml&format=json');
+			assert.equal(res.status, 400);
+		});
+
+		it('responds 404 for unknown paths with a problem document', async () => {
+			const res = await server.request('/no/such/path', { headers: { Accept: 'application/problem+json' } });
+			const body = await res.json();
+
+			assert.equal(res.status, 404);
+			assert.equal(body.status, 404);
+			assert.equal(body.detail, 'Resource not found');
+		});
+
+		it('escapes request data echoed in HTML error pages', async () => {
+			const html = await (await server.request('/scenario/%3Cscript%3Ealert(1)%3C%2Fscript%3E')).text();
+
+			assert.ok(!html.includes('<script>'));
+			assert.match(html, /Unknown scenario: &lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+		});
+	});
+
+	describe('GET /', () => {
+		it('lists status codes grouped by class', async () => {
+			const html = await (await server.request('/')).text();
+
+			for (const group of ['1xx Informational', '2xx Success', '3xx Redirection', '4xx Client Error', '5xx Server Error']) {
+				assert.ok(html.includes(`<h2>${group}</h2>`), group);
+			}
+			assert.match(html, /<a href="\/404">404 Not Found<\/a>/);
+			assert.match(html, /<a href="\/499">499 Client Closed Request<\/a>/);
+			assert.match(html, /id="search"/);
+		});
+	});
+
+	describe('catalog', () => {
+		it('filters the catalog by class and free text', async () => {
+			const { total, codes } = await (await server.request('/api/codes?class=5xx&q=cloudflare')).json();
+
+			assert.equal(total, codes.length);
+			assert.ok(codes.length > 0);
+			assert.ok(codes.every(status => status.class === '5xx' && status.vendor.includes('Cloudflare')));
+		});
+
+		it('describes a single code, including vendor extensions', async () => {
+			const status = await (await server.request('/api/codes/499')).json();
+
+			assert.equal(status.reason, 'Client Closed Request');
+			assert.equal(status.official, false);
+			assert.equal(status.vendor, 'nginx');
+			assert.ok(status.causes.length > 0);
+		});
+
+		it('rejects unknown codes and bad filters', async () => {
+			assert.equal((await server.request('/api/codes/299')).status, 404);
+			assert.equal((await server.request('/api/codes?class=6xx')).status, 400);
+			assert.equal((await server.request('/api/codes?retryable=maybe')).status, 400);
+		});
+
+		it('uses catalog reasons on status pages', async () => {
+			const body = await (await server.request('/208', { headers: { Accept: 'application/json' } })).json();
+			assert.equal(body.reason, 'Already Reported');
+		});
+	});
+
+	describe('sequences', () => {
+		it('advances per client key and can be reset', async () => {
+			const statuses = [];
+			for (let i = 0; i < 4; i++) {
+				statuses.push((await server.request('/sequence/503,503,200?key=t1')).status);
+			}
+			assert.deepEqual(statuses, [503, 503, 200, 200]);
+
+			assert.equal((await server.request('/sequence/503,503,200/state?key=t1', { method: 'DELETE' })).status, 204);
+			assert.equal((await server.request('/sequence/503,503,200?key=t1')).status, 503);
+		});
+	});
+
+	describe('ratelimited', () => {
+		it('enforces the client-chosen quota per key', async () => {
+			const path = '/ratelimited?limit=2&window=10s&key=q1';
+
+			assert.equal((await server.request(path)).status, 200);
+			assert.equal((await server.request(path)).headers.get('ratelimit-remaining'), '0');
+			assert.equal((await server.request(path)).status, 429);
+			assert.equal((await server.request('/ratelimited?limit=2&window=10s&key=q2')).status, 200);
+
+			await server.request('/ratelimited/state?key=q1', { method: 'DELETE' });
+			assert.equal((await server.request(path)).status, 200);
+		});
+	});
+
+	describe('random', () => {
+		it('replays the same picks for a seed', async () => {
+			const run = async () => {
+				const statuses = [];
+				for (let i = 0; i < 5; i++) {
+					statuses.push((await server.request('/random?200=50&500=50&seed=replay')).status);
+				}
+				await server.request('/random/state?seed=replay', { method: 'DELETE' });
+				return statuses;
+			};
+
+			assert.deepEqual(await run(), await run());
+		});
+	});
+
+	describe('streams', () => {
+		it('drips a chunked body', async () => {
+			const res = await server.request('/stream/200?chunks=3&interval=10ms');
+
+			assert.equal(res.headers.get('transfer-encoding'), 'chunked');
+			assert.equal(await res.text(), 'chunk 1/3\nchunk 2/3\nchunk 3/3\n');
+		});
+
+		it('streams server-sent events', async () => {
+			const res = await server.request('/stream/200?type=sse&chunks=2&interval=0');
+
+			assert.match(res.headers.get('content-type'), /text\/event-stream/);
+			assert.match(await res.text(), /data: \{"chunk":2,"of":2\}\n\n$/);
+		});
+
+		for (const fault of ['cutoff', 'truncate', 'gzip']) {
+			it(`fails the body with the ${fault} fault`, async () => {
+				const res = await server.request(`/stream/200?chunks=4&interval=0&fault=${fault}`);
+				await assert.rejects(res.text());
+			});
+		}
+
+		it('resets the connection after the headers', async () => {
+			await assert.rejects(async () => (await server.request('/stream/500?fault=reset')).text());
+		});
+
+		it('only limits the duration of paced streams', async () => {
+			assert.equal((await server.request('/stream/200?chunks=100&interval=1s')).status, 400);
+			assert.equal((await server.request('/stream/200?chunks=100&interval=1s&fault=cutoff&after=50')).status, 400);
+
+			const res = await server.request('/stream/200?chunks=100&interval=1s&fault=gzip');
+			assert.equal(res.status, 200);
+			await assert.rejects(res.text());
+		});
+	});
+
+	describe('health and metrics', () => {
+		it('reports liveness and readiness without hitting /:statusCode', async () => {
+			assert.deepEqual(await (await server.request('/healthz')).json(), { status: 'ok' });
+			assert.deepEqual(await (await server.request('/readyz')).json(), { status: 'ready' });
+		});
+
+		it('counts requests by status, method and route type', async () => {
+			await server.request('/502', { method: 'POST' });
+			const text = await (await server.request('/metrics')).text();
+
+			assert.match(text, /http_mock_requests_total\{status="502",method="POST",route_type="status"\} 1/);
+			assert.match(text, /http_mock_request_duration_seconds_bucket\{le="0.005",status="502",method="POST",route_type="status"\}/);
+			assert.match(text, /http_mock_rate_limit_rejections_total 0/);
+		});
+
+		it('leaves out process metrics unless asked for', async () => {
+			assert.doesNotMatch(await (await server.request('/metrics')).text(), /process_cpu_user_seconds_total/);
+
+			const withDefaults = await startServer({ defaultMetrics: true });
+			try {
+				assert.match(await (await withDefaults.request('/metrics')).text(), /process_cpu_user_seconds_total/);
+			} finally {
+				await withDefaults.stop();
+			}
+		});
+	});
+
+	describe('auth', () => {
+		const basic = credentials => ({ Authorization: `Basic ${Buffer.from(credentials).toString('base64')}` });
+
+		it('challenges for and checks Basic credentials', async () => {
+			const missing = await server.request('/auth/basic/ada/secret');
+			assert.equal(missing.status, 401);
+			assert.equal(missing.headers.get('www-authenticate'), 'Basic realm="http-status-mock", charset="UTF-8"');
+
+			assert.equal((await server.request('/auth/basic/ada/secret', { headers: basic('ada:wrong') })).status, 401);
+			assert.equal((await server.request('/auth/basic/ada/secret', { headers: basic('ada:secret') })).status, 200);
+			assert.equal(
+				(await server.request('/auth/basic/ada/secret?forbidden=true', { headers: basic('ada:secret') })).status,
+				403
+			);
+		});
+
+		it('checks Bearer tokens and challenges as a proxy', async () => {
+			const invalid = await server.request('/auth/bearer?token=abc', {
+				headers: { Authorization: 'Bearer xyz', Accept: 'application/json' },
+			});
+			assert.equal(invalid.status, 401);
+			assert.match(invalid.headers.get('www-authenticate'), /error="invalid_token"/);
+			assert.equal((await invalid.json()).message, 'Invalid bearer token');
+
+			assert.equal((await server.request('/auth/bearer?token=abc', { headers: { Authorization: 'Bearer abc' } })).status, 200);
+
+			// fetch refuses 407 responses, so use http directly
+			const proxy = await new Promise((resolve, reject) => {
+				http.get(`${server.url}/auth/bearer?token=abc&proxy=true`, res => resolve(res.resume())).on('error', reject);
+			});
+			assert.equal(proxy.statusCode, 407);
+			assert.equal(proxy.headers['proxy-authenticate'], 'Bearer realm="http-status-mock"');
+		});
+
+		it('completes a Digest handshake', async () => {
+			const uri = '/auth/digest/ada/secret?algorithm=SHA-256';
+			const challenge = (await server.request(uri)).headers.get('www-authenticate');
+			const { nonce, opaque } = Object.fromEntries([...challenge.matchAll(/(\w+)="([^"]*)"/g)].map(([, k, v]) => [k, v]));
+
+			const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+			const authorization = password => {
+				const ha1 = hash(`ada:http-status-mock:${password}`);
+				const response = hash(`${ha1}:${nonce}:00000001:c0ffee:auth:${hash(`GET:${uri}`)}`);
+				return (
+					`Digest username="ada", realm="http-status-mock", nonce="${nonce}", uri="${uri}", algorithm=SHA-256, ` +
+					`qop=auth, nc=00000001, cnonce="c0ffee", response="${response}", opaque="${opaque}"`
+				);
+			};
+
+			assert.match(challenge, /^Digest realm="http-status-mock", qop="auth", algorithm=SHA-256/);
+			assert.equal((await server.request(uri, { headers: { Authorization: authorization('secret') } })).status, 200);
+			assert.equal((await server.request(uri, { headers: { Authorization: authorization('wrong') } })).status, 401);
+		});
+	});
+
+	describe('admin', () => {
+		it('journals requests and serves runtime mocks', async () => {
+			await server.request('/__admin/reset', { method: 'POST' });
+
+			const created = await server.request('/__admin/mocks', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ id: 'orders', match: { method: 'GET', path: '/api/orders' }, response: { status: 503 } }),
+			});
+			assert.equal(created.status, 201);
+			assert.equal((await server.request('/api/orders')).status, 503);
+
+			const { requests } = await (await server.request('/__admin/requests?path=/api/orders')).json();
+			assert.equal(requests.length, 1);
+			assert.equal(requests[0].status, 503);
+		});
+
+		it('reports invalid overrides on delayed mocks as errors', async () => {
+			await server.request('/__admin/mocks', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify({ id: 'slow', match: { path: '/slow' }, response: { status: 200, delay: '10' } }),
+			});
+
+			assert.equal((await server.request('/slow?header=bad')).status, 400);
+			assert.equal((await server.request('/slow')).status, 200);
+			await server.request('/__admin/mocks/slow', { method: 'DELETE' });
+		});
+
+		it('rejects mocks with bad response headers or delays', async () => {
+			const post = mock =>
+				server.request('/__admin/mocks', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(mock),
+				});
+
+			assert.equal((await post({ match: { path: '/x' }, response: { headers: { 'Bad Name': 'x' } } })).status, 400);
+			assert.equal((await post({ match: { path: '/x' }, response: { headers: { 'X-Ok': 'a\r\nb' } } })).status, 400);
+			assert.equal((await post({ match: { path: '/x' }, response: { headers: { 'X-A': '€' } } })).status, 400);
+			assert.equal((await post({ match: { path: '/x' }, response: { delay: 'soon' } })).status, 400);
+			assert.equal((await post({ match: { path: '/x' }, response: { delay: '1h' } })).status, 400);
+		});
+
+		it('rejects invalid mock paths without breaking later mocks', async () => {
+			const post = mock =>
+				server.request('/__admin/mocks', {
+					method: 'POST',
+					headers: { 'Content-Type': 'application/json' },
+					body: JSON.stringify(mock),
+				});
+
+			assert.equal((await post({ match: { path: '/(' } })).status, 400);
+			assert.equal((await post({ id: 'after', match: { path: '/after' }, response: { status: 418 } })).status, 201);
+			assert.equal((await server.request('/after')).status, 418);
+			await server.request('/__admin/mocks', { method: 'DELETE' });
+		});
+
+		it('answers 404 when deleting an unknown mock', async () => {
+			await server.request('/__admin/mocks', { method: 'DELETE' });
+			assert.equal((await server.request('/__admin/mocks/unknown', { method: 'DELETE' })).status, 404);
+		});
+
+		it('requires the admin token when one is set', async () => {
+			const secured = await startServer({ adminToken: 's3cret' });
+			try {
+				const missing = await secured.request('/__admin/requests');
+				assert.equal(missing.status, 401);
+				assert.equal(missing.headers.get('www-authenticate'), 'Bearer realm="__admin"');
+
+				const wrong = await secured.request('/__admin/requests', { headers: { Authorization: 'Bearer guess' } });
+				assert.equal(wrong.status, 401);
+
+				const right = await secured.request('/__admin/requests', { headers: { Authorization: 'Bearer s3cret' } });
+				assert.equal(right.status, 200);
+			} finally {
+				await secured.stop();
+			}
+		});
+
+		it('disables the admin API in production without a token', async () => {
+			const env = process.env.NODE_ENV;
+			process.env.NODE_ENV = 'production';
+			let production;
+			try {
+				production = await startServer();
+			} finally {
+				if (env === undefined) delete process.env.NODE_ENV;
+				else process.env.NODE_ENV = env;
+			}
+
+			try {
+				assert.equal((await production.request('/__admin/requests')).status, 403);
+				assert.equal((await production.request('/__admin/reset', { method: 'POST' })).status, 403);
+			} finally {
+				await production.stop();
+			}
+		});
+	});
+});
+
+describe('error classes', () => {
+	it('ValidationError is a 400 HttpError', () => {
+		const err = new ValidationError('bad');
+
+		assert.ok(err instanceof HttpError);
+		assert.equal(err.statusCode, 400);
+		assert.equal(err.name, 'ValidationError');
+	});
+});